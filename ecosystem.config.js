@@ -27,7 +27,7 @@ module.exports = {
       // Watch for file changes and auto-restart
       watch: ['server', 'public', 'package.json'],
       watch_delay: 5000, // 5s delay to let FTP uploads finish before restarting
-      ignore_watch: ['node_modules', '.git', 'logs', '*.log'],
+      ignore_watch: ['node_modules', '.git', 'logs', '*.log', 'cache'],
 
       // Environment
       env: {
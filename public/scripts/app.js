@@ -6,17 +6,16 @@
     // Metadata services (find artist IDs)
     MUSICBRAINZ: 'MUSICBRAINZ', // Finds MBID + Discogs ID
 
-    // Image services (get actual images)
-    DISCOGS: 'DISCOGS', // Needs Discogs ID (from MusicBrainz)
-    THE_AUDIO_DB: 'THE_AUDIO_DB', // Needs MBID (from MusicBrainz)
-    ITUNES: 'ITUNES' // Standalone - searches by name, gets album art
+    // Image services (get actual images) — shared with the server (public/scripts/board-shared.js)
+    ...window.BoardShared.SOURCES
   };
 
   // Configuration - API keys are now server-side
   const CONFIG = {
-    defaultUsername: 'solitude12',
+    defaultUsername: 'solitude12', // Mirrors config.defaults.username on the server
     artistLimit: 12,
     period: '1month',
+    mode: 'artists', // Which top list the board shows (see MODES)
     tileSize: 250, // Tile size in pixels (matches CSS .artist width/height)
 
     // Image source pipeline - tried in order until image found
@@ -29,86 +28,401 @@
   };
 
   // Original source order for consistent fallback behavior
-  const ORIGINAL_SOURCE_ORDER = ['ITUNES', 'DISCOGS', 'THE_AUDIO_DB'];
-
-  // Discogs rate limiter - adaptive delay based on remaining requests from headers
-  // Discogs allows 60 requests/minute. We adjust speed based on how many are left.
-  const discogsRateLimiter = {
-    remaining: 60,
-
-    async waitIfNeeded() {
-      // Adaptive delay: go faster when we have plenty, slower when running low
-      // remaining > 30: 500ms (fast)
-      // remaining 10-30: 1000ms (moderate)
-      // remaining < 10: 2000ms (slow, conserve)
-      let delay;
-      if (this.remaining > 30) {
-        delay = 500;
-      } else if (this.remaining > 10) {
-        delay = 1000;
-      } else {
-        delay = 2000;
+  const ORIGINAL_SOURCE_ORDER = window.BoardShared.SOURCE_ORDER;
+
+  // Default listening period (omitted from URLs so existing share links stay canonical)
+  const DEFAULT_PERIOD = CONFIG.period;
+
+  // Last.fm listening periods, in picker order
+  // Mirrors PERIODS in server/routes/pages.js — keep both in sync.
+  // label: picker text, over: header/meta phrase, span: tile/heading suffix
+  const PERIODS = {
+    '7day': { label: 'Week', over: 'Over the past week', span: 'this week' },
+    '1month': { label: 'Month', over: 'Over the past month', span: 'this month' },
+    '3month': { label: '3 Months', over: 'Over the past 3 months', span: 'in the past 3 months' },
+    '6month': { label: '6 Months', over: 'Over the past 6 months', span: 'in the past 6 months' },
+    '12month': { label: 'Year', over: 'Over the past year', span: 'this year' },
+    overall: { label: 'All Time', over: 'Of all time', span: 'of all time' }
+  };
+
+  // Default board mode (omitted from URLs, like the default period)
+  const DEFAULT_MODE = CONFIG.mode;
+
+  // Board modes: which Last.fm top list the grid shows, in picker order
+  // label: picker text, noun: heading/announcement text, type: board item type
+  const MODES = {
+    artists: { label: 'Artists', noun: 'artists', type: 'artist' },
+    albums: { label: 'Albums', noun: 'albums', type: 'album' },
+    tracks: { label: 'Tracks', noun: 'tracks', type: 'track' }
+  };
+
+  // Board load failures by the server's error `code` (see server/services/lastfm.js)
+  // message: shown and announced; retry: whether waiting and trying again can help
+  const LOAD_FAILURES = {
+    user_not_found: { message: "We couldn't find that Last.fm user. Check the spelling and try again.", retry: false },
+    private_profile: { message: 'This user keeps their Last.fm listening history private.', retry: false },
+    rate_limited: { message: 'Last.fm is getting too many requests right now.', retry: true },
+    temporarily_unavailable: { message: 'Last.fm is having trouble right now.', retry: true },
+    circuit_open: { message: 'Last.fm is temporarily unavailable.', retry: true },
+    // Set by loadUser when the browser has no connection and the board wasn't saved on this device
+    offline: { message: "You're offline, and this board hasn't been saved on this device yet.", retry: false }
+  };
+
+  // Automatic retries for temporary load failures: exponential backoff from baseMs, or the
+  // server's retryAfter if longer; waits past maxWaitMs are left to the user
+  const LOAD_RETRY = { attempts: 3, baseMs: 2000, maxWaitMs: 15000 };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Artist data persisted in IndexedDB between visits (see createClientCache).
+  // Bump version when the shape of a cached value changes — older entries are then dropped.
+  // ttlMs: how long each kind of entry is kept; misses get less time, as they may be failures
+  const CLIENT_CACHE = {
+    dbName: 'music-artist-data',
+    version: 1,
+    flushDelayMs: 250, // Writes within this window share one transaction
+    ttlMs: {
+      image: 7 * DAY_MS, // Artwork URL per item and source
+      imageMiss: DAY_MS, // No artwork found (or lookup failed)
+      mbData: 30 * DAY_MS, // MusicBrainz MBID + Discogs ID
+      mbMiss: DAY_MS,
+      analysis: 30 * DAY_MS, // Luminance + dominant hue of one artwork URL
+      personality: 7 * DAY_MS, // TheAudioDB genre/style/mood
+      board: 30 * DAY_MS // Board snapshot for offline viewing (see saveBoardSnapshot)
+    }
+  };
+
+  // Request scheduler lanes (see createRequestScheduler): how many requests each may have in flight.
+  // Upstream quotas are enforced by a shared queue on the server (server/utils/upstreamThrottle.js);
+  // these just keep one board from flooding it, so visible tiles aren't stuck behind the rest.
+  const REQUEST_LANES = {
+    board: 2, // Top list, profile, personality headline
+    musicbrainz: 1, // /api/artist/resolve
+    discogs: 2,
+    audiodb: 2,
+    itunes: 4,
+    analysis: 4 // /api/image/analysis
+  };
+
+  // Scheduler priorities, lowest first: tiles in (or near) the viewport before the rest of the
+  // board, and prefetching other sources and revalidation after both
+  const REQUEST_PRIORITY = { board: 0, visible: 1, offscreen: 2, background: 3 };
+
+  // Shared backoff after a 429 from any lane (an upstream's, or our own API rate limiter's):
+  // the server's Retry-After, or baseMs doubling on repeats, up to maxMs. A request told to
+  // wait longer than maxMs is given its 429 instead of retried.
+  const REQUEST_BACKOFF = { baseMs: 2000, maxMs: 30000, retries: 2 };
+
+  /**
+   * Read Retry-After from one of our API's responses: the header (our server always sends
+   * seconds), then a JSON `retryAfter`
+   */
+  async function readRetryAfterMs(response) {
+    const seconds = parseInt(response.headers.get('Retry-After'), 10);
+    if (seconds >= 0) return seconds * 1000;
+    try {
+      const body = await response.clone().json();
+      if (body && body.retryAfter) return Number(body.retryAfter) * 1000 || null;
+    } catch (_) {
+      // Not JSON — no hint
+    }
+    return null;
+  }
+
+  /**
+   * Create the scheduler every API request goes through (fetch() with a lane):
+   * - Each lane (REQUEST_LANES) runs at most its limit of requests at once
+   * - Waiting requests start best priority first, oldest first within one; a priority may
+   *   be a function, re-read each time (tiles scroll in and out of view while they wait)
+   * - A 429 from any lane pauses all of them (REQUEST_BACKOFF) and the request is retried;
+   *   onBackoffChange(true/false) reports the pause starting and ending
+   * A request aborted while it waits is dropped from the queue and rejects with an AbortError.
+   * @param {object} lanes - Lane → concurrency limit
+   * @param {function(boolean): void} onBackoffChange
+   */
+  function createRequestScheduler(lanes, onBackoffChange) {
+    const waiting = [];
+    const running = {}; // lane -> requests in flight
+    let sequence = 0;
+    let pausedUntil = 0;
+    let backoffMs = 0; // Last pause; doubled by the next 429 after it ends, reset by a success
+    let resumeTimeout = null;
+
+    function priorityOf(entry) {
+      return typeof entry.priority === 'function' ? entry.priority() : entry.priority;
+    }
+
+    // Start the best waiting request of every lane with a free slot
+    function pump() {
+      if (resumeTimeout) return;
+      for (;;) {
+        let best = null;
+        let bestPriority = Infinity;
+        for (const entry of waiting) {
+          if ((running[entry.lane] || 0) >= lanes[entry.lane]) continue;
+          const priority = priorityOf(entry);
+          if (priority < bestPriority || (priority === bestPriority && entry.sequence < best.sequence)) {
+            best = entry;
+            bestPriority = priority;
+          }
+        }
+        if (!best) return;
+        waiting.splice(waiting.indexOf(best), 1);
+        run(best);
       }
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    },
+    }
+
+    function backOff(retryAfterMs) {
+      const now = Date.now();
+      // 429s from requests already in flight when the pause began don't compound it
+      const next = now < pausedUntil ? backoffMs : backoffMs * 2 || REQUEST_BACKOFF.baseMs;
+      backoffMs = Math.min(Math.max(next, retryAfterMs || 0), REQUEST_BACKOFF.maxMs);
+      pausedUntil = Math.max(pausedUntil, now + backoffMs);
 
-    updateFromHeaders(headers) {
-      const remaining = headers.get('X-Discogs-Ratelimit-Remaining');
-      if (remaining !== null) {
-        this.remaining = parseInt(remaining, 10);
+      clearTimeout(resumeTimeout);
+      resumeTimeout = setTimeout(() => {
+        resumeTimeout = null;
+        onBackoffChange(false);
+        pump();
+      }, pausedUntil - now);
+      onBackoffChange(true);
+    }
+
+    async function run(entry) {
+      running[entry.lane] = (running[entry.lane] || 0) + 1;
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      try {
+        const response = await fetch(entry.url, entry.init);
+        if (response.status === 429) {
+          const retryAfterMs = await readRetryAfterMs(response);
+          backOff(retryAfterMs);
+          const worthWaiting = retryAfterMs === null || retryAfterMs <= REQUEST_BACKOFF.maxMs;
+          if (entry.retries > 0 && worthWaiting) {
+            entry.retries--;
+            enqueue(entry);
+            return;
+          }
+        } else if (Date.now() >= pausedUntil) {
+          backoffMs = 0;
+        }
+        entry.resolve(response);
+      } catch (error) {
+        entry.reject(error);
+      } finally {
+        running[entry.lane]--;
+        pump();
       }
     }
-  };
 
-  // MusicBrainz rate limiter - adaptive delay based on remaining requests from headers
-  // MusicBrainz allows 300 requests per 60s window. We adjust speed based on how many are left.
-  const musicBrainzRateLimiter = {
-    remaining: 300,
-    rateLimited: false, // Set true when we get a 429 (legacy burst limit)
-
-    async waitIfNeeded() {
-      // If we hit a rate limit error, back off significantly
-      if (this.rateLimited) {
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-        this.rateLimited = false;
-        return;
+    function enqueue(entry) {
+      if (entry.signal) {
+        if (entry.signal.aborted) {
+          entry.reject(new DOMException('Request aborted', 'AbortError'));
+          return;
+        }
+        entry.signal.addEventListener('abort', entry.onAbort);
       }
+      waiting.push(entry);
+    }
 
-      // Adaptive delay based on remaining requests
-      // remaining > 150: 200ms (fast - plenty of headroom)
-      // remaining 50-150: 500ms (moderate)
-      // remaining < 50: 1000ms (slow, conserve)
-      let delay;
-      if (this.remaining > 150) {
-        delay = 200;
-      } else if (this.remaining > 50) {
-        delay = 500;
-      } else {
-        delay = 1000;
+    return {
+      /**
+       * fetch() through a lane
+       * @param {string} lane - Key of REQUEST_LANES
+       * @param {string} url
+       * @param {object} [options] - fetch() init, plus:
+       *   priority: REQUEST_PRIORITY value, or a function returning one (default: background);
+       *   retries: how often a 429 is retried after the backoff (default REQUEST_BACKOFF.retries)
+       * @returns {Promise<Response>} The response — a 429 only once retries run out
+       */
+      fetch(lane, url, options = {}) {
+        const { priority = REQUEST_PRIORITY.background, retries = REQUEST_BACKOFF.retries, ...init } = options;
+        return new Promise((resolve, reject) => {
+          const entry = { lane, url, init, priority, retries, signal: init.signal, resolve, reject };
+          entry.sequence = sequence++;
+          entry.onAbort = () => {
+            const index = waiting.indexOf(entry);
+            if (index !== -1) {
+              waiting.splice(index, 1);
+              reject(new DOMException('Request aborted', 'AbortError'));
+            }
+          };
+          enqueue(entry);
+          pump();
+        });
       }
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    },
+    };
+  }
 
-    updateFromHeaders(headers) {
-      const remaining = headers.get('X-RateLimit-Remaining');
-      if (remaining !== null) {
-        this.remaining = parseInt(remaining, 10);
+  /**
+   * Create a load session — one per loadUser call. Everything the load starts (fetches,
+   * the board stream, timers) is tied to it, and end() cancels all of it once a newer
+   * load supersedes it. Work that settles anyway checks `active` before it touches the
+   * caches, tiles, headline or background color, so late results are dropped.
+   */
+  function createLoadSession() {
+    const controller = new AbortController();
+    const timers = new Set();
+
+    const session = {
+      signal: controller.signal, // For fetch(); aborted by end()
+
+      get active() {
+        return !controller.signal.aborted;
+      },
+
+      // setTimeout that end() clears
+      setTimeout(callback, ms) {
+        const id = setTimeout(() => {
+          timers.delete(id);
+          callback();
+        }, ms);
+        timers.add(id);
+        return id;
+      },
+
+      clearTimeout(id) {
+        clearTimeout(id);
+        timers.delete(id);
+      },
+
+      // Resolves after ms; never resolves if the session ends first, so a superseded load just stops
+      sleep(ms) {
+        return new Promise((resolve) => session.setTimeout(resolve, ms));
+      },
+
+      end() {
+        controller.abort();
+        for (const id of timers) clearTimeout(id);
+        timers.clear();
       }
-    },
+    };
+    return session;
+  }
 
-    markRateLimited() {
-      this.rateLimited = true;
+  /**
+   * Create the IndexedDB store behind the artist data caches, so a revisit paints from what
+   * the last visit resolved. Each entry carries its own expiry and the version it was
+   * written with; restore() drops expired and other-version entries. Without IndexedDB
+   * (blocked, private browsing) every call quietly does nothing.
+   * @param {string} dbName
+   * @param {number} version - Current value version (CLIENT_CACHE.version)
+   * @param {number} flushDelayMs - How long writes are batched before they're stored
+   */
+  function createClientCache(dbName, version, flushDelayMs) {
+    let dbPromise = null;
+    let pending = new Map(); // id -> entry to store, or null to delete
+    let flushTimeout = null;
+    const restored = new Set(); // ids restored from disk and not written since
+
+    function openDb() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+          try {
+            const request = window.indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('entries', { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+          } catch (error) {
+            resolve(null);
+          }
+        });
+      }
+      return dbPromise;
     }
-  };
+
+    async function flush() {
+      flushTimeout = null;
+      const batch = pending;
+      pending = new Map();
+      const db = await openDb();
+      if (!db) return;
+      try {
+        const store = db.transaction('entries', 'readwrite').objectStore('entries');
+        for (const [id, entry] of batch) {
+          if (entry) {
+            store.put(entry);
+          } else {
+            store.delete(id);
+          }
+        }
+      } catch (error) {
+        // Quota exceeded or connection closing — the cache is best-effort
+      }
+    }
+
+    function queue(id, entry) {
+      restored.delete(id);
+      pending.set(id, entry);
+      if (!flushTimeout) {
+        flushTimeout = setTimeout(flush, flushDelayMs);
+      }
+    }
+
+    return {
+      /**
+       * Read every live entry, deleting expired and other-version ones on the way
+       * @returns {Promise<Array<{ cache: string, key: string, value: * }>>}
+       */
+      async restore() {
+        const db = await openDb();
+        if (!db) return [];
+        return new Promise((resolve) => {
+          const entries = [];
+          const now = Date.now();
+          try {
+            const transaction = db.transaction('entries', 'readwrite');
+            const request = transaction.objectStore('entries').openCursor();
+            request.onsuccess = () => {
+              const cursor = request.result;
+              if (!cursor) return;
+              const entry = cursor.value;
+              if (entry.version !== version || entry.expiresAt <= now) {
+                cursor.delete();
+              } else {
+                restored.add(entry.id);
+                entries.push(entry);
+              }
+              cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => resolve(entries);
+            transaction.onabort = () => resolve(entries);
+          } catch (error) {
+            resolve(entries);
+          }
+        });
+      },
+
+      write(cache, key, value, ttlMs) {
+        const id = `${cache}|${key}`;
+        queue(id, { id, cache, key, value, expiresAt: Date.now() + ttlMs, version });
+      },
+
+      delete(cache, key) {
+        queue(`${cache}|${key}`, null);
+      },
+
+      // Whether an entry came from disk and hasn't been refetched since (see revalidateRestoredEntries)
+      isRestored(cache, key) {
+        return restored.has(`${cache}|${key}`);
+      }
+    };
+  }
 
   // DOM Elements
-  let wrapperEl, contentEl, usernameInput, headerSubtitle, personalityEl, srAnnouncerEl, usernameErrorEl;
+  let wrapperEl, contentEl, usernameInput, headerSubtitle, profileEl, personalityEl, srAnnouncerEl, usernameErrorEl;
+  let offlineNoticeEl, slowDownNoticeEl;
 
   // Image cache - keyed by "artistName:SOURCE" for per-source caching
   // Also stores MusicBrainz data keyed by "artistName:MB_DATA"
   const imageCache = {};
 
   // Luminance cache - keyed by "artistName:SOURCE", stores boolean (true = light image)
+  // Computed server-side (/api/image/analysis or the board stream)
   const luminanceCache = {};
 
   // Hue cache - keyed by "artistName:SOURCE", stores { hue, weight } or null
@@ -122,11 +436,50 @@
   // Personality data cache - stores genre/style/mood per artist
   const personalityCache = {};
 
+  // Last complete board per "username|period|mode": { items, headline, savedAt }, shown when offline
+  const boardSnapshots = {};
+
+  // The caches above are persisted here: "images" (imageCache), "analysis" (luminanceCache +
+  // hueCache), "personality" (personalityCache) and "boards" (boardSnapshots), each keyed like
+  // its in-memory cache
+  const clientCache = createClientCache(CLIENT_CACHE.dbName, CLIENT_CACHE.version, CLIENT_CACHE.flushDelayMs);
+
+  // Settles once the persisted entries are back in the caches (started by init, awaited by loadUser)
+  let clientCacheRestored = Promise.resolve();
+
+  // Board item names whose tiles are in or near the viewport (see observeTileVisibility)
+  const visibleTiles = new Set();
+  let tileVisibilityObserver = null;
+
+  // Every API request goes through here (see createRequestScheduler)
+  const requestScheduler = createRequestScheduler(REQUEST_LANES, setSlowDownNotice);
+
   // Current artists (for reloading when sources change)
   let currentArtists = [];
 
+  // Artist detail drawer (see openArtistDrawer): the open drawer's requests, and the tile link
+  // focused again when it closes. artistDrawerEl stays null where <dialog> isn't supported,
+  // and tiles then just link to Last.fm.
+  let artistDrawerEl = null;
+  let artistDrawerSession = null;
+  let artistDrawerReturnFocusEl = null;
+
+  // The current board load (see createLoadSession); ended when the next one starts
+  let currentSession = null;
+
+  // Board the server rendered into the page ("username|period", see server/services/board-markup.js);
+  // the first load hydrates it if it's the same board, then it's cleared
+  let ssrBoardKey = null;
+
+  // The meta and og descriptions were written by the server for the board in the URL (with its
+  // headline and top artists, see server/routes/pages.js); the first load keeps them, later ones replace them
+  let keepServerDescriptions = false;
+
+  // Last.fm profiles (user.getinfo) by lowercased username; null for users Last.fm doesn't know
+  const profileCache = {};
+  let profileUsername = null; // Whose profile the header is showing (or loading)
+
   // Personality loading animation timeout
-  let showPersonalityLoadingTimeout = null;
   let personalityAnimationTimeout = null;
 
   // Auto-rotation state
@@ -140,8 +493,8 @@
   // Current personality seed (for deterministic color/headline generation)
   let currentPersonalitySeed = null;
 
-  // Flip to false to silence personality-reveal timing logs.
-  const DEBUG_PERSONALITY_TIMING = true;
+  // Flip to true to log personality-reveal timings to the console while debugging.
+  const DEBUG_PERSONALITY_TIMING = false;
   let personalityTimingStart = 0;
   const personalityCallTimings = []; // { artist, api, durationMs }
   function markPersonalityTiming(label) {
@@ -200,11 +553,15 @@
    * @param {Array} artists - Array of artist objects with name and playcount
    * @returns {number} - Deterministic seed value
    */
-  function generatePersonalitySeed(username, artists) {
+  function generatePersonalitySeed(username, artists, period) {
     // Create a string that captures the essence of the user's current listening
     // Include artist names and playcounts so seed changes when listening changes
+    // Non-default periods are folded in so each window gets its own color/headline,
+    // while default-period seeds stay identical to what existing boards already show
+    const periodKey = period && period !== DEFAULT_PERIOD ? `@${period}` : '';
     const dataString =
       username.toLowerCase() +
+      periodKey +
       '|' +
       artists
         .map((a) => `${a.name.toLowerCase()}:${a.playcount}`)
@@ -217,17 +574,20 @@
    * Analyze artist data to generate a music personality headline
    * Calls server-side API for headline generation (keeps logic private)
    * @param {Array} artistsData - Array of artist data with mood/genre/style
-   * @param {number} [seed] - Optional seed for deterministic headlines
+   * @param {number|null} [seed] - Optional integer seed for deterministic headlines
+   * @param {AbortSignal} [signal] - The load session's signal
    */
-  async function analyzePersonality(artistsData, seed) {
+  async function analyzePersonality(artistsData, seed, signal) {
     try {
       markPersonalityTiming('T4 /api/personality POST start');
-      const response = await fetch('/api/personality', {
+      const response = await requestScheduler.fetch('board', '/api/personality', {
+        priority: REQUEST_PRIORITY.board,
         method: 'POST',
+        signal,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           artists: artistsData,
-          seed: seed ? (seed() * 1000000) | 0 : null // Convert seeded random to integer seed
+          seed: seed || null
         })
       });
 
@@ -237,7 +597,8 @@
         return json;
       }
     } catch (error) {
-      console.error('Personality API error:', error);
+      // A superseded load's request is cancelled, not failed
+      if (!signal || !signal.aborted) console.error('Personality API error:', error);
     }
 
     // Fallback to a generic headline if API fails
@@ -349,7 +710,7 @@
     const whosText = isDefault ? 'My' : `${sanitize(username)}'s`;
 
     // Rolling text has aria-hidden="true" so screen readers ignore the rapid updates
-    personalityEl.innerHTML = `<span class="personality-label">${whosText} Music Personality</span><span class="personality-content"><span class="personality-rolling" aria-hidden="true"></span><span class="personality-text"></span></span>`;
+    personalityEl.innerHTML = window.BoardShared.renderPersonality(whosText, '');
     personalityEl.style.display = 'block';
     personalityEl.classList.remove('visible');
     personalityEl.classList.add('loading');
@@ -401,7 +762,7 @@
         textEl.textContent = headline;
       } else {
         // Fallback if structure doesn't exist
-        personalityEl.innerHTML = `<span class="personality-label">Your Music Personality</span><span class="personality-content"><span class="personality-rolling" aria-hidden="true"></span><span class="personality-text">${sanitize(headline)}</span></span>`;
+        personalityEl.innerHTML = window.BoardShared.renderPersonality('Your', headline);
       }
 
       // Transition from loading to visible — enable live region for the final headline
@@ -462,6 +823,16 @@
     return div.innerHTML;
   }
 
+  /**
+   * Escape a string for a double- or single-quoted HTML attribute — sanitize() leaves quotes as they are
+   */
+  function escapeAttribute(str) {
+    return sanitize(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  // http(s) URLs only, for links from upstream data (shared with the server's tile markup)
+  const { safeExternalUrl } = window.BoardShared;
+
   /**
    * Convert HSL to RGB
    * @returns {r, g, b} values 0-255
@@ -563,67 +934,9 @@
     return Math.ceil(high);
   }
 
-  /**
-   * Mood-to-color mapping for personality-influenced backgrounds
-   * Each mood has a hue range, saturation range, and lightness range
-   * Hue ranges are designed to evoke the emotional quality of each mood
-   */
-  const MOOD_COLORS = {
-    happy: {
-      // Warm yellows, oranges, bright greens (30-120 hue range)
-      hueMin: 30,
-      hueMax: 120,
-      satMin: 60,
-      satMax: 85,
-      lightMin: 22,
-      lightMax: 32
-    },
-    sad: {
-      // Cool blues, blue-purples (200-260 hue range)
-      hueMin: 200,
-      hueMax: 260,
-      satMin: 40,
-      satMax: 70,
-      lightMin: 18,
-      lightMax: 28
-    },
-    angry: {
-      // Reds, deep oranges (0-30 or 340-360 hue range)
-      hueMin: 340,
-      hueMax: 390, // Wraps around: 390 = 30
-      satMin: 65,
-      satMax: 90,
-      lightMin: 20,
-      lightMax: 30
-    },
-    relaxed: {
-      // Soft greens, teals, gentle blues (140-200 hue range)
-      hueMin: 140,
-      hueMax: 200,
-      satMin: 35,
-      satMax: 65,
-      lightMin: 20,
-      lightMax: 30
-    },
-    energetic: {
-      // Vibrant magentas, hot pinks, electric purples (280-340 hue range)
-      hueMin: 280,
-      hueMax: 340,
-      satMin: 70,
-      satMax: 95,
-      lightMin: 22,
-      lightMax: 32
-    },
-    dark: {
-      // Deep purples, dark blues, near-blacks (240-300 hue range)
-      hueMin: 240,
-      hueMax: 300,
-      satMin: 30,
-      satMax: 60,
-      lightMin: 12,
-      lightMax: 22
-    }
-  };
+  // Mood-to-color mapping for personality-influenced backgrounds: hue, saturation and lightness
+  // ranges per mood, shared with the Open Graph cards (public/scripts/board-shared.js)
+  const { MOOD_COLORS } = window.BoardShared;
 
   // Mood synonyms → canonical MOOD_COLORS bucket.
   // Mirrors MOOD_MAP in server/services/personality.js. TheAudioDB returns
@@ -914,19 +1227,31 @@
 
   /**
    * Update document title and meta description to match SEO
+   * The first load keeps the server's descriptions; client-side navigation rewrites them
    */
   function updateDocumentMeta(username) {
     const isDefault = username === CONFIG.defaultUsername;
     const titleName = isDefault ? 'Payam Yousefi' : sanitize(username);
     const whosText = isDefault ? 'my' : `${sanitize(username)}'s`;
+    const periodPhrase = PERIODS[CONFIG.period].over;
 
     // Update title
     document.title = `Music — ${titleName}`;
 
+    if (keepServerDescriptions) {
+      keepServerDescriptions = false;
+      return;
+    }
+
     // Update meta description
     const metaDescription = document.querySelector('meta[name="description"]');
     if (metaDescription) {
-      metaDescription.setAttribute('content', `Curious about ${whosText} taste in music? Over the past month...`);
+      metaDescription.setAttribute('content', `Curious about ${whosText} taste in music? ${periodPhrase}...`);
+    }
+
+    const ogDescription = document.querySelector('meta[property="og:description"]');
+    if (ogDescription) {
+      ogDescription.setAttribute('content', `Curious about ${whosText} taste in music? ${periodPhrase}...`);
     }
   }
 
@@ -942,8 +1267,102 @@
       const whosText = isDefault
         ? 'my'
         : `<a href="https://last.fm/user/${encodeURIComponent(username)}" target="_blank" rel="noopener noreferrer">${sanitize(username)}</a>'s`;
-      headerSubtitle.innerHTML = `Curious about ${whosText} taste in music?<br>Over the past month...`;
+      headerSubtitle.innerHTML = `Curious about ${whosText} taste in music?<br>${PERIODS[CONFIG.period].over}...`;
+    }
+  }
+
+  /**
+   * Fetch a user's Last.fm profile (user.getinfo) for the header
+   * @returns {Promise<object|null>} Last.fm's `user` object, or null when Last.fm has no such user
+   * @throws When the profile couldn't be had this time (rate limit, server error, network)
+   */
+  async function fetchUserProfile(username) {
+    const response = await requestScheduler.fetch('board', `/api/lastfm/user/${encodeURIComponent(username)}/info`, {
+      priority: REQUEST_PRIORITY.board
+    });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Profile request failed with ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.user || null;
+  }
+
+  /**
+   * Build the header profile markup from a Last.fm user object
+   * Avatar, real name, country, total scrobbles, account age and scrobbles per day;
+   * anything Last.fm leaves empty is skipped. Returns '' when there's nothing to show.
+   */
+  function buildProfileHtml(user) {
+    const images = Array.isArray(user.image) ? user.image : [];
+    const avatar = images.find((image) => image.size === 'large') || images[images.length - 1];
+    const avatarUrl = avatar && /^https:\/\//.test(avatar['#text']) ? avatar['#text'] : '';
+    const realName = (user.realname || '').trim();
+    // Last.fm reports "None" for users who haven't set a country
+    const country = user.country && user.country !== 'None' ? user.country : '';
+    const playcount = parseInt(user.playcount, 10) || 0;
+    const registeredMs = (parseInt(user.registered && user.registered.unixtime, 10) || 0) * 1000;
+
+    const facts = [];
+    if (playcount > 0) {
+      facts.push(`${playcount.toLocaleString('en-US')} ${playcount === 1 ? 'scrobble' : 'scrobbles'}`);
+    }
+    if (registeredMs > 0 && registeredMs < Date.now()) {
+      const days = Math.max(1, Math.floor((Date.now() - registeredMs) / 86400000));
+      const years = Math.floor(days / 365.25);
+      const since = new Date(registeredMs).getFullYear();
+      facts.push(years > 0 ? `since ${since} (${years} ${years === 1 ? 'year' : 'years'})` : `since ${since}`);
+      if (playcount > 0) {
+        const perDay = playcount / days;
+        facts.push(`${perDay < 10 ? perDay.toFixed(1) : Math.round(perDay).toLocaleString('en-US')} a day`);
+      }
+    }
+
+    const identity = [realName, country].filter(Boolean).map(sanitize);
+    if (!avatarUrl && identity.length === 0 && facts.length === 0) {
+      return '';
+    }
+
+    // Decorative: the name/stats next to it say who this is
+    const avatarHtml = avatarUrl
+      ? `<img class="profile-avatar" src="${escapeAttribute(avatarUrl)}" alt="" width="48" height="48">`
+      : '';
+    const identityHtml = identity.length ? `<span class="profile-name">${identity.join(' · ')}</span>` : '';
+    const factsHtml = facts.length ? `<span class="profile-stats">${facts.join(' · ')}</span>` : '';
+    return `${avatarHtml}<span class="profile-details">${identityHtml}${factsHtml}</span>`;
+  }
+
+  /**
+   * Show a user's profile in the header, fetching it once per username
+   * Hidden until it arrives, and stays hidden if Last.fm has nothing to show
+   */
+  async function loadUserProfile(username) {
+    if (!profileEl) return;
+
+    const key = username.toLowerCase();
+    if (profileUsername === key) return; // Already showing (or loading) this user
+    profileUsername = key;
+    profileEl.hidden = true;
+    profileEl.innerHTML = '';
+
+    if (profileCache[key] === undefined) {
+      try {
+        profileCache[key] = await fetchUserProfile(username);
+      } catch (error) {
+        // Not cached: the next load of this user asks again
+        if (profileUsername === key) profileUsername = null;
+        return;
+      }
     }
+    // Another user was loaded while this one was in flight
+    if (profileUsername !== key) return;
+
+    const html = profileCache[key] ? buildProfileHtml(profileCache[key]) : '';
+    profileEl.innerHTML = html;
+    profileEl.hidden = !html;
   }
 
   /**
@@ -970,183 +1389,56 @@
   }
 
   /**
-   * Check if a Discogs image URL is valid (not a placeholder)
-   */
-  function isValidDiscogsImage(url) {
-    if (!url) return false;
-    if (url.includes('spacer.gif')) return false;
-    if (url === '') return false;
-    return true;
-  }
-
-  /**
-   * Get MBID and Discogs ID from MusicBrainz relations
-   * Flow: Last.fm MBID (or name search) → MusicBrainz → { mbid, discogsId }
+   * Get verified MBID and Discogs ID for an artist
+   * Flow: Last.fm name + MBID → /api/artist/resolve → { mbid, discogsId }
+   * The server runs the MusicBrainz search/lookup/verification once and caches it
+   * for every visitor; rate limits are handled by the request scheduler.
+   * @param {object} [options] - Request scheduler options: { signal, priority }
    */
-  async function getMusicBrainzData(artistName, mbid) {
-    let effectiveMbid = mbid;
-
-    // If no MBID from Last.fm, search MusicBrainz by name
-    if (!effectiveMbid || effectiveMbid.length === 0) {
-      try {
-        // Wait if rate limited
-        await musicBrainzRateLimiter.waitIfNeeded();
-
-        const searchUrl = `/api/musicbrainz/artist?query=${encodeURIComponent(artistName)}`;
-        const searchResponse = await fetch(searchUrl);
-
-        // Update rate limiter from response headers
-        musicBrainzRateLimiter.updateFromHeaders(searchResponse.headers);
-
-        // Handle rate limit (429 from server, which converts MB's 200+error body)
-        if (searchResponse.status === 429) {
-          musicBrainzRateLimiter.markRateLimited();
-          // Retry once after backing off
-          await musicBrainzRateLimiter.waitIfNeeded();
-          const retryResponse = await fetch(searchUrl);
-          musicBrainzRateLimiter.updateFromHeaders(retryResponse.headers);
-          if (retryResponse.ok) {
-            const retryData = await retryResponse.json();
-            if (retryData.artists && retryData.artists.length > 0) {
-              const mbArtist = retryData.artists[0];
-              if (mbArtist.name && mbArtist.name.toLowerCase() === artistName.toLowerCase()) {
-                effectiveMbid = mbArtist.id;
-              }
-            }
-          }
-        } else if (searchResponse.ok) {
-          const searchData = await searchResponse.json();
-          if (searchData.artists && searchData.artists.length > 0) {
-            // Verify the returned artist name matches (case-insensitive)
-            // MusicBrainz may return a different artist with the same name
-            const mbArtist = searchData.artists[0];
-            if (mbArtist.name && mbArtist.name.toLowerCase() === artistName.toLowerCase()) {
-              effectiveMbid = mbArtist.id;
-            }
-          }
-        }
-      } catch (error) {
-        // Search failed, continue without MBID
-      }
-    }
-
-    if (!effectiveMbid) {
-      return { mbid: null, discogsId: null };
+  async function getMusicBrainzData(artistName, mbid, options) {
+    const empty = { mbid: null, discogsId: null };
+    const params = new URLSearchParams({ name: artistName });
+    if (mbid) {
+      params.set('mbid', mbid);
     }
+    const resolveUrl = `/api/artist/resolve?${params.toString()}`;
 
-    // Fetch MusicBrainz artist with URL relations
-    let discogsId = null;
     try {
-      // Wait if rate limited
-      await musicBrainzRateLimiter.waitIfNeeded();
-
-      const mbUrl = `/api/musicbrainz/artist/${effectiveMbid}`;
-      const response = await fetch(mbUrl);
-
-      // Update rate limiter from response headers
-      musicBrainzRateLimiter.updateFromHeaders(response.headers);
-
-      // Handle rate limit (429 from server)
-      if (response.status === 429) {
-        musicBrainzRateLimiter.markRateLimited();
-        // Retry once after backing off
-        await musicBrainzRateLimiter.waitIfNeeded();
-        const retryResponse = await fetch(mbUrl);
-        musicBrainzRateLimiter.updateFromHeaders(retryResponse.headers);
-        if (retryResponse.ok) {
-          const data = await retryResponse.json();
-          if (data.name && data.name.toLowerCase() !== artistName.toLowerCase()) {
-            return { mbid: null, discogsId: null };
-          }
-          if (data.relations) {
-            for (const rel of data.relations) {
-              if (rel.type === 'discogs' && rel.url && rel.url.resource) {
-                const match = rel.url.resource.match(/discogs\.com\/artist\/(\d+)/);
-                if (match) {
-                  discogsId = match[1];
-                  break;
-                }
-              }
-            }
-          }
-        }
-      } else if (response.ok) {
-        const data = await response.json();
-
-        // Verify the MBID resolves to the correct artist name
-        // This catches cases where Last.fm provides a wrong MBID (e.g., "Drama" → wrong artist)
-        if (data.name && data.name.toLowerCase() !== artistName.toLowerCase()) {
-          return { mbid: null, discogsId: null };
-        }
+      const response = await requestScheduler.fetch('musicbrainz', resolveUrl, options);
 
-        // Find Discogs relation and extract artist ID
-        if (data.relations) {
-          for (const rel of data.relations) {
-            if (rel.type === 'discogs' && rel.url && rel.url.resource) {
-              const match = rel.url.resource.match(/discogs\.com\/artist\/(\d+)/);
-              if (match) {
-                discogsId = match[1];
-                break;
-              }
-            }
-          }
-        }
+      if (!response.ok) {
+        return empty;
       }
+
+      const data = await response.json();
+      return { mbid: data.mbid || null, discogsId: data.discogsId || null };
     } catch (error) {
-      // Continue with just MBID
+      // Resolution failed, continue without MB data
+      return empty;
     }
-
-    return { mbid: effectiveMbid, discogsId };
   }
 
   /**
    * Fetch artist data from TheAudioDB using MBID
    * Returns image URL and genre/style/mood for personality analysis
-   * Respects 429 rate limits by waiting retryAfter seconds and retrying once
+   * @param {object} [options] - Request scheduler options: { signal, priority }
    */
-  async function fetchAudioDBData(mbid) {
+  async function fetchAudioDBData(mbid, options) {
     const empty = { image: null, genre: null, style: null, mood: null };
     if (!mbid) {
       return empty;
     }
 
     try {
-      const url = `/api/audiodb/artist/${mbid}`;
-      let response = await fetch(url);
-
-      // Handle rate limiting — wait retryAfter seconds and retry once
-      if (response.status === 429) {
-        let retryAfter = 60; // default fallback
-        try {
-          const body = await response.json();
-          if (body.retryAfter) {
-            retryAfter = body.retryAfter;
-          }
-        } catch (_) {
-          // Use default
-        }
-        console.warn(`TheAudioDB rate limited — waiting ${retryAfter}s before retry`);
-        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
-        response = await fetch(url);
-      }
+      const response = await requestScheduler.fetch('audiodb', `/api/v2/audiodb/artist/${mbid}`, options);
 
       if (!response.ok) {
         return empty;
       }
 
-      const data = await response.json();
-
-      if (data.artists && data.artists.length > 0) {
-        const artist = data.artists[0];
-        return {
-          image: artist.strArtistThumb || artist.strArtistFanart || null,
-          genre: artist.strGenre || null,
-          style: artist.strStyle || null,
-          mood: artist.strMood || null
-        };
-      }
-
-      return empty;
+      // Normalized server-side: { image, genre, style, mood } (404 when TheAudioDB doesn't know the artist)
+      const { image, genre, style, mood } = await response.json();
+      return { image, genre, style, mood };
     } catch (error) {
       return empty;
     }
@@ -1155,8 +1447,8 @@
   /**
    * Fetch artist image from TheAudioDB using MBID (wrapper for backward compatibility)
    */
-  async function fetchAudioDBImage(mbid) {
-    const data = await fetchAudioDBData(mbid);
+  async function fetchAudioDBImage(mbid, options) {
+    const data = await fetchAudioDBData(mbid, options);
     return data.image;
   }
 
@@ -1164,8 +1456,9 @@
    * Fetch artist image from iTunes/Apple Music Search API
    * Two-step process: search for artist, then lookup their albums for artwork
    * Uses local PHP proxy to avoid CORS issues with Apple's inconsistent CDN headers
+   * @param {object} [options] - Request scheduler options: { signal, priority }
    */
-  async function fetchiTunesImage(artistName) {
+  async function fetchiTunesImage(artistName, options) {
     if (!artistName) {
       return null;
     }
@@ -1173,7 +1466,7 @@
     try {
       // Step 1: Search for the artist to get their ID (via Node proxy)
       const searchUrl = `/api/itunes/search?term=${encodeURIComponent(artistName)}&entity=musicArtist&limit=1`;
-      const searchResponse = await fetch(searchUrl);
+      const searchResponse = await requestScheduler.fetch('itunes', searchUrl, options);
 
       if (!searchResponse.ok) {
         return null;
@@ -1195,7 +1488,7 @@
 
       // Step 2: Lookup artist's albums to get artwork (via Node proxy)
       const lookupUrl = `/api/itunes/lookup?id=${artistId}&entity=album&limit=1`;
-      const lookupResponse = await fetch(lookupUrl);
+      const lookupResponse = await requestScheduler.fetch('itunes', lookupUrl, options);
 
       if (!lookupResponse.ok) {
         return null;
@@ -1207,7 +1500,7 @@
       if (lookupData.results && lookupData.results.length > 1) {
         const album = lookupData.results[1]; // First album after artist
         if (album.artworkUrl100) {
-          // Replace 100x100 with 3x tile size for retina displays
+          // Ask for the largest size we'd show (3x tile); the image proxy scales it down per DPR
           const targetSize = CONFIG.tileSize * 3;
           return album.artworkUrl100.replace('100x100', `${targetSize}x${targetSize}`);
         }
@@ -1219,44 +1512,73 @@
     }
   }
 
+  /**
+   * Fetch cover art for an album or track tile from iTunes
+   * Searches "artist title" and prefers an exact title match by the same artist,
+   * then any result by the same artist (editions often differ, e.g. "(Deluxe)")
+   * @param {object} item - Board item of type 'album' or 'track' (see toBoardItems)
+   * @param {object} [options] - Request scheduler options: { signal, priority }
+   */
+  async function fetchiTunesArtwork(item, options) {
+    const isAlbum = item.type === 'album';
+    const titleField = isAlbum ? 'collectionName' : 'trackName';
+
+    try {
+      const term = encodeURIComponent(`${item.artist} ${item.title}`);
+      const searchUrl = `/api/itunes/search?term=${term}&entity=${isAlbum ? 'album' : 'song'}&limit=10`;
+      const response = await requestScheduler.fetch('itunes', searchUrl, options);
+
+      if (!response.ok) {
+        return null;
+      }
+
+      const data = await response.json();
+      const artistName = item.artist.toLowerCase();
+      const byArtist = (data.results || []).filter(
+        (result) => result.artworkUrl100 && result.artistName && result.artistName.toLowerCase() === artistName
+      );
+      const title = item.title.toLowerCase();
+      const match = byArtist.find((result) => (result[titleField] || '').toLowerCase() === title) || byArtist[0];
+
+      if (!match) {
+        return null;
+      }
+
+      // Ask for the largest size we'd show (3x tile); the image proxy scales it down per DPR
+      const targetSize = CONFIG.tileSize * 3;
+      return match.artworkUrl100.replace('100x100', `${targetSize}x${targetSize}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Fetch artist image from Discogs API using verified artist ID
-   * Uses rate limiter to respect API limits while maximizing throughput
+   * The server queues requests against the shared Discogs quota
    * Optimizes for images at least 3x tile size for retina displays
+   * @param {object} [options] - Request scheduler options: { signal, priority }
    */
-  async function fetchDiscogsImageById(discogsId) {
+  async function fetchDiscogsImageById(discogsId, options) {
     if (!discogsId) {
       return null;
     }
 
     const MIN_SIZE = CONFIG.tileSize * 3; // 750px for retina displays (3x 250px tiles)
 
-    // Wait if rate limited
-    await discogsRateLimiter.waitIfNeeded();
-
     try {
-      const url = `/api/discogs/artist/${discogsId}`;
-      const response = await fetch(url);
-
-      // Update rate limiter from response headers
-      discogsRateLimiter.updateFromHeaders(response.headers);
+      const response = await requestScheduler.fetch('discogs', `/api/v2/discogs/artist/${discogsId}`, options);
 
       if (!response.ok) {
         return null;
       }
 
+      // Normalized server-side: usable image candidates only, primary first
       const data = await response.json();
+      const validImages = data.images || [];
 
-      if (data.images && data.images.length > 0) {
-        // Filter valid images and sort by size preference
-        const validImages = data.images.filter((img) => isValidDiscogsImage(img.uri));
-
-        if (validImages.length === 0) {
-          return null;
-        }
-
+      if (validImages.length > 0) {
         // Prefer primary image if it meets size requirements
-        const primaryImage = validImages.find((img) => img.type === 'primary');
+        const primaryImage = validImages.find((img) => img.primary);
 
         // Check if primary image is large enough
         if (primaryImage && primaryImage.width >= MIN_SIZE && primaryImage.height >= MIN_SIZE) {
@@ -1280,16 +1602,86 @@
     }
   }
 
+  /**
+   * Fetch TheAudioDB's biography, formation year, country and tags for the artist drawer
+   * @param {object} [options] - Request scheduler options: { signal, priority }
+   * @returns {Promise<object|null>} { biography, formedYear, country, genre, style, mood, ... }
+   *   (see /api/v2/audiodb/artist/:mbid/details), or null when unknown or unavailable
+   */
+  async function fetchAudioDBDetails(mbid, options) {
+    if (!mbid) {
+      return null;
+    }
+
+    try {
+      const response = await requestScheduler.fetch('audiodb', `/api/v2/audiodb/artist/${mbid}/details`, options);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the Discogs profile, page URL and members for the artist drawer
+   * @param {object} [options] - Request scheduler options: { signal, priority }
+   * @returns {Promise<object|null>} { profile, url, members: [{ name, active }], ... }
+   *   (see /api/v2/discogs/artist/:id/details), or null when unknown or unavailable
+   */
+  async function fetchDiscogsDetails(discogsId, options) {
+    if (!discogsId) {
+      return null;
+    }
+
+    try {
+      const response = await requestScheduler.fetch('discogs', `/api/v2/discogs/artist/${discogsId}/details`, options);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Apple Music page for an artist, from the same exact-name search fetchiTunesImage makes
+   * @param {object} [options] - Request scheduler options: { signal, priority }
+   * @returns {Promise<string|null>}
+   */
+  async function fetchAppleMusicUrl(artistName, options) {
+    try {
+      const searchUrl = `/api/itunes/search?term=${encodeURIComponent(artistName)}&entity=musicArtist&limit=1`;
+      const response = await requestScheduler.fetch('itunes', searchUrl, options);
+
+      if (!response.ok) {
+        return null;
+      }
+
+      const data = await response.json();
+      const artist = data.results && data.results[0];
+      if (!artist || !artist.artistName || artist.artistName.toLowerCase() !== artistName.toLowerCase()) {
+        return null;
+      }
+      return artist.artistLinkUrl || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Fetch image for a specific source
+   * Discogs and TheAudioDB always show the item's artist; iTunes shows the cover
+   * for album and track tiles
    * Returns { source, imageUrl } or { source, imageUrl: null }
+   * @param {object} item - Board item (see toBoardItems)
+   * @param {AbortSignal} [signal] - The load session's signal; a cancelled lookup isn't cached
+   * @param {boolean} [revalidate] - Look it up even if cached (see revalidateRestoredEntries)
+   * @param {number} [priority] - Request scheduler priority; by default the tile's (see tilePriority)
    */
-  async function fetchImageForSource(artistName, source, mbData) {
+  async function fetchImageForSource(item, source, mbData, signal, revalidate, priority) {
     const { mbid, discogsId } = mbData || {};
-    const cacheKey = `${artistName}:${source}`;
+    const cacheKey = `${item.name}:${source}`;
+    const options = { signal, priority: priority === undefined ? tilePriority(item.name) : priority };
 
     // Check cache first
-    if (imageCache[cacheKey] !== undefined) {
+    if (!revalidate && imageCache[cacheKey] !== undefined) {
       return { source, imageUrl: imageCache[cacheKey] };
     }
 
@@ -1299,226 +1691,202 @@
     switch (source) {
       case 'DISCOGS':
         if (discogsId) {
-          fetchedUrl = await fetchDiscogsImageById(discogsId);
+          fetchedUrl = await fetchDiscogsImageById(discogsId, options);
         }
         break;
 
       case 'THE_AUDIO_DB':
         if (mbid) {
-          fetchedUrl = await fetchAudioDBImage(mbid);
+          fetchedUrl = await fetchAudioDBImage(mbid, options);
         }
         break;
 
       case 'ITUNES':
-        fetchedUrl = await fetchiTunesImage(artistName);
+        fetchedUrl =
+          item.type === 'artist'
+            ? await fetchiTunesImage(item.artist, options)
+            : await fetchiTunesArtwork(item, options);
         break;
     }
 
+    // Cancelled, not missing — don't remember it as "no image"
+    if (signal && signal.aborted) {
+      return { source, imageUrl: null };
+    }
+
+    // A failed revalidation shouldn't blank an image we know
+    if (revalidate && !fetchedUrl && imageCache[cacheKey]) {
+      return { source, imageUrl: imageCache[cacheKey] };
+    }
+
     // Cache the result (even if null, to avoid re-fetching)
-    imageCache[cacheKey] = fetchedUrl;
+    setImageUrl(cacheKey, fetchedUrl);
 
     return { source, imageUrl: fetchedUrl };
   }
 
   /**
-   * Check if a source needs MusicBrainz data
+   * Cache (and persist) an item's image URL for one source; null when it has none.
+   * A different URL than before makes that key's image analysis stale, so it's dropped.
+   * @param {string} cacheKey - "itemName:SOURCE"
    */
-  function sourceNeedsMbData(source) {
-    return source === 'DISCOGS' || source === 'THE_AUDIO_DB';
+  function setImageUrl(cacheKey, url) {
+    if (imageCache[cacheKey] !== url && luminanceCache[cacheKey] !== undefined) {
+      delete luminanceCache[cacheKey];
+      delete hueCache[cacheKey];
+      clientCache.delete('analysis', cacheKey);
+    }
+    imageCache[cacheKey] = url;
+    clientCache.write('images', cacheKey, url, url ? CLIENT_CACHE.ttlMs.image : CLIENT_CACHE.ttlMs.imageMiss);
   }
 
   /**
-   * Fetch artist image using configurable source pipeline
-   * Sources are tried in order defined by CONFIG.imageSources
-   * Images are cached per-source so switching sources uses cached data when available
+   * Cache (and persist) an artist's MusicBrainz resolution
+   * @param {{ mbid: string|null, discogsId: string|null }} mbData
    */
-  async function fetchArtistImageWithData(artistName, mbData) {
-    // Try each source in configured order
-    for (const source of CONFIG.imageSources) {
-      const result = await fetchImageForSource(artistName, source, mbData);
-      if (result.imageUrl) {
-        return result; // Return { source, imageUrl }
-      }
-    }
-
-    return { source: CONFIG.imageSources[0], imageUrl: null };
+  function setMbData(artistName, mbData) {
+    const cacheKey = `${artistName}:MB_DATA`;
+    imageCache[cacheKey] = mbData;
+    clientCache.write('images', cacheKey, mbData, mbData.mbid ? CLIENT_CACHE.ttlMs.mbData : CLIENT_CACHE.ttlMs.mbMiss);
   }
 
   /**
-   * Preload an image and return a promise
-   * Returns the Image element for potential canvas analysis
+   * Cache (and persist) an artist's genre/style/mood for personality analysis
    */
-  function preloadImage(url) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      // crossOrigin is intentionally NOT set here.
-      // Setting crossOrigin='anonymous' sends an Origin header to CDNs like
-      // i.discogs.com and r2.theaudiodb.com. Those CDNs don't respond with
-      // Access-Control-Allow-Origin, so the browser blocks the load entirely.
-      // Canvas luminance analysis uses a separate CORS-mode load (see
-      // cacheTileLuminance) so display and analysis are decoupled.
-      img.onload = () => resolve(img);
-      img.onerror = () => reject();
-      img.src = url;
-    });
+  function setPersonalityData(artistName, data) {
+    personalityCache[artistName] = data;
+    clientCache.write('personality', artistName, data, CLIENT_CACHE.ttlMs.personality);
   }
 
   /**
-   * Load an image in CORS mode for canvas pixel analysis.
-   * Returns a Promise<HTMLImageElement> if the CDN supports CORS, or null if not.
-   * This is separate from preloadImage so that display (no CORS) and canvas
-   * analysis (needs CORS) use independent image loads.
+   * Put the persisted cache entries back into the in-memory caches.
+   * Anything this page has already resolved is newer and is kept.
    */
-  function loadImageForCanvas(url) {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.onload = () => resolve(img);
-      img.onerror = () => resolve(null); // CDN doesn't support CORS — resolve null, don't reject
-      img.src = url;
-    });
+  async function restoreClientCaches() {
+    const entries = await clientCache.restore();
+    for (const { cache, key, value } of entries) {
+      if (cache === 'images' && imageCache[key] === undefined) {
+        imageCache[key] = value;
+      } else if (cache === 'analysis' && luminanceCache[key] === undefined) {
+        luminanceCache[key] = value.light;
+        hueCache[key] = value.hue;
+      } else if (cache === 'personality' && !personalityCache[key]) {
+        personalityCache[key] = value;
+      } else if (cache === 'boards' && !boardSnapshots[key]) {
+        boardSnapshots[key] = value;
+      }
+    }
   }
 
   /**
-   * Analyze the luminance of the bottom-right region of an image (where .title sits)
-   * Uses an offscreen canvas to sample pixel data
-   * @param {HTMLImageElement} img - Loaded image element
-   * @returns {boolean} true if the region is "light" (needs dark title), false if "dark"
+   * Check if a source needs MusicBrainz data
    */
-  function isImageLight(img) {
-    try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      // Use a small sample size for performance (scale down to 50x50)
-      const sampleSize = 50;
-      canvas.width = sampleSize;
-      canvas.height = sampleSize;
-
-      ctx.drawImage(img, 0, 0, sampleSize, sampleSize);
-
-      // Sample the bottom-right quadrant (where .title overlay sits)
-      // Title is positioned: bottom: 0, right: 0, left: auto
-      // So sample roughly the bottom 40%, right 70% of the image
-      const startX = Math.floor(sampleSize * 0.3);
-      const startY = Math.floor(sampleSize * 0.6);
-      const regionW = sampleSize - startX;
-      const regionH = sampleSize - startY;
+  function sourceNeedsMbData(source) {
+    return source === 'DISCOGS' || source === 'THE_AUDIO_DB';
+  }
 
-      const imageData = ctx.getImageData(startX, startY, regionW, regionH);
-      const data = imageData.data;
+  /**
+   * Fetch artist image using configurable source pipeline
+   * Sources are tried in order defined by CONFIG.imageSources
+   * Images are cached per-source so switching sources uses cached data when available
+   */
+  async function fetchArtistImageWithData(item, mbData) {
+    // Try each source in configured order
+    for (const source of CONFIG.imageSources) {
+      const result = await fetchImageForSource(item, source, mbData);
+      if (result.imageUrl) {
+        return result; // Return { source, imageUrl }
+      }
+    }
 
-      // Calculate average luminance using WCAG relative luminance formula
-      let totalLuminance = 0;
-      const pixelCount = data.length / 4;
+    return { source: CONFIG.imageSources[0], imageUrl: null };
+  }
 
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i] / 255;
-        const g = data[i + 1] / 255;
-        const b = data[i + 2] / 255;
+  /**
+   * Same-origin URL for an artwork image, via the server's image proxy (/api/image).
+   * The server resizes it for a tile at this screen's pixel density and caches it,
+   * so every source loads at a consistent size.
+   * @param {string} url - Original CDN URL (iTunes, Discogs or TheAudioDB)
+   */
+  function proxiedImageUrl(url) {
+    const dpr = Math.min(3, Math.max(1, Math.ceil(window.devicePixelRatio || 1)));
+    return `/api/image?src=${encodeURIComponent(url)}&dpr=${dpr}`;
+  }
 
-        // Simplified relative luminance (skip gamma for performance)
-        totalLuminance += 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  /**
+   * Preload an image (through the image proxy) and return a promise
+   * @param {AbortSignal} [signal] - Cancels the download (and rejects) when the load session ends
+   */
+  function preloadImage(url, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject();
+        return;
       }
-
-      const avgLuminance = totalLuminance / pixelCount;
-
-      // Threshold: luminance > 0.5 means the region is "light"
-      // White text on light backgrounds needs dark backdrop
-      return avgLuminance > 0.5;
-    } catch (e) {
-      // Canvas tainted by CORS or other error — default to dark (current behavior)
-      return false;
-    }
+      const img = new Image();
+      const onAbort = () => {
+        img.src = '';
+        reject();
+      };
+      // Tiles share one board signal, so each preload takes its listener back off
+      const settle = (done) => () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        done();
+      };
+      img.onload = settle(() => resolve(img));
+      img.onerror = settle(() => reject());
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      img.src = proxiedImageUrl(url);
+    });
   }
 
   /**
-   * Extract a dominant hue from an image using a weighted circular mean of
-   * saturated, mid-tone pixels. Achromatic, near-black, and near-white pixels
-   * are skipped so a mostly-gray cover doesn't muddy the result.
-   * @param {HTMLImageElement} img - Loaded image element
-   * @returns {{ hue: number, weight: number } | null}
-   *   hue: 0-360, weight: 0-1 representing how vivid/representative the hue is
-   *   Returns null when the image is effectively colorless or canvas is tainted.
+   * Store a server-computed image analysis (see /api/image/analysis) for a tile image.
+   * Without one (no image, or the request failed), luminance defaults to false (dark)
+   * and hue to null (no contribution).
+   * @param {string} cacheKey - "artistName:SOURCE"
+   * @param {{ light: boolean, hue: { hue: number, weight: number } | null } | null} analysis
    */
-  function extractTileHue(img) {
-    try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      const sampleSize = 50;
-      canvas.width = sampleSize;
-      canvas.height = sampleSize;
-      ctx.drawImage(img, 0, 0, sampleSize, sampleSize);
-      const { data } = ctx.getImageData(0, 0, sampleSize, sampleSize);
-
-      const totalPixels = data.length / 4;
-      let sinSum = 0;
-      let cosSum = 0;
-      let weightSum = 0;
-
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i] / 255;
-        const g = data[i + 1] / 255;
-        const b = data[i + 2] / 255;
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        const lightness = (max + min) / 2;
-        const delta = max - min;
-        if (delta === 0) continue; // achromatic
-        if (lightness < 0.15 || lightness > 0.9) continue; // too dark/light to carry hue
-        const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
-        if (saturation < 0.18) continue; // too desaturated
-
-        let h;
-        if (max === r) h = ((g - b) / delta) % 6;
-        else if (max === g) h = (b - r) / delta + 2;
-        else h = (r - g) / delta + 4;
-        h *= 60;
-        if (h < 0) h += 360;
-
-        // Weight vivid mid-tone pixels most; dim pixels contribute less.
-        const pixelWeight = saturation * (1 - Math.abs(lightness - 0.5) * 2);
-        const rad = (h * Math.PI) / 180;
-        sinSum += Math.sin(rad) * pixelWeight;
-        cosSum += Math.cos(rad) * pixelWeight;
-        weightSum += pixelWeight;
-      }
-
-      if (weightSum <= 0) return null;
-      // Normalize so a moderately colorful cover lands near weight 1.
-      const meanWeight = weightSum / totalPixels;
-      if (meanWeight < 0.03) return null;
-      const hue = ((Math.atan2(sinSum, cosSum) * 180) / Math.PI + 360) % 360;
-      const weight = Math.min(1, meanWeight * 4);
-      return { hue, weight };
-    } catch (e) {
-      return null;
+  function setImageAnalysis(cacheKey, analysis) {
+    luminanceCache[cacheKey] = analysis ? analysis.light : false;
+    hueCache[cacheKey] = analysis ? analysis.hue : null;
+    // Only real analyses are kept across visits; the defaults are retried next time
+    if (analysis) {
+      clientCache.write(
+        'analysis',
+        cacheKey,
+        { light: analysis.light, hue: analysis.hue },
+        CLIENT_CACHE.ttlMs.analysis
+      );
     }
   }
 
   /**
-   * Analyze and cache a tile's image for both luminance (title backdrop theme)
-   * and dominant hue (background-color nudge). Both share the same CORS gate —
-   * only iTunes/Apple CDN supports CORS for arbitrary origins; Discogs and
-   * TheAudioDB don't. For non-CORS sources we skip analysis (default luminance
-   * to false / dark; hue to null / no contribution).
+   * Ensure a tile image's luminance (title backdrop theme) and dominant hue
+   * (background-color nudge) are cached. Board stream images arrive with them;
+   * otherwise they're fetched from the server, which computes them once per image.
    * @param {string} imageUrl - The image URL to analyze
    * @param {string} artistName - Artist name for cache key
    * @param {string} source - Image source identifier (ITUNES, DISCOGS, THE_AUDIO_DB)
+   * @param {AbortSignal} [signal] - The load session's signal; a cancelled analysis isn't cached
    */
-  async function cacheTileLuminance(imageUrl, artistName, source) {
+  async function cacheTileLuminance(imageUrl, artistName, source, signal) {
     const cacheKey = `${artistName}:${source}`;
     if (luminanceCache[cacheKey] === undefined) {
-      // Only iTunes CDN (mzstatic.com) supports CORS — skip canvas analysis for others
-      const supportsCors = source === SERVICES.ITUNES;
-      if (supportsCors) {
-        const corsImg = await loadImageForCanvas(imageUrl);
-        luminanceCache[cacheKey] = corsImg ? isImageLight(corsImg) : false;
-        hueCache[cacheKey] = corsImg ? extractTileHue(corsImg) : null;
-      } else {
-        luminanceCache[cacheKey] = false;
-        hueCache[cacheKey] = null;
+      let analysis = null;
+      try {
+        const url = `/api/image/analysis?src=${encodeURIComponent(imageUrl)}`;
+        const response = await requestScheduler.fetch('analysis', url, { signal, priority: tilePriority(artistName) });
+        if (response.ok) {
+          analysis = await response.json();
+        }
+      } catch (error) {
+        // Keep the defaults
       }
+      if (signal && signal.aborted) return;
+      setImageAnalysis(cacheKey, analysis);
     }
   }
 
@@ -1567,7 +1935,7 @@
   function setSourceLayerImage(tile, source, imageUrl) {
     const layer = tile.querySelector(`.source-layer[data-source="${source}"]`);
     if (layer && imageUrl) {
-      layer.style.backgroundImage = `url(${imageUrl})`;
+      layer.style.backgroundImage = `url(${proxiedImageUrl(imageUrl)})`;
       layer.dataset.hasImage = 'true';
     }
   }
@@ -1617,20 +1985,21 @@
 
   /**
    * Prepare a tile with its image for a specific source
+   * @param {AbortSignal} [signal] - The load session's signal
    */
-  async function prepareTileImage(artistName, imageUrl, source) {
+  async function prepareTileImage(artistName, imageUrl, source, signal) {
     const tiles = contentEl.querySelectorAll('.artist');
     for (const tile of tiles) {
       if (tile.dataset.artist === artistName) {
         if (imageUrl) {
           try {
-            await preloadImage(imageUrl);
+            await preloadImage(imageUrl, signal);
             // Set image on the source layer
             setSourceLayerImage(tile, source, imageUrl);
             // Await luminance analysis so the cache is populated before revealTile
-            // calls applyTitleTheme. loadImageForCanvas resolves null (not rejects)
-            // for CDNs that don't support CORS, so this never throws.
-            await cacheTileLuminance(imageUrl, artistName, source);
+            // calls applyTitleTheme. cacheTileLuminance falls back to defaults
+            // rather than rejecting, so this never throws.
+            await cacheTileLuminance(imageUrl, artistName, source, signal);
             return { tile, success: true, source };
           } catch (e) {
             return { tile, success: false, source };
@@ -1692,6 +2061,75 @@
     });
   }
 
+  /**
+   * Swap a revalidated image into a tile's source layer, if the layer already holds the
+   * old one. The tile's hue contribution is left alone so the background doesn't shift.
+   * @param {object} session - From createLoadSession
+   */
+  async function refreshTileImage(artistName, imageUrl, source, session) {
+    const tile = Array.from(contentEl.querySelectorAll('.artist')).find((t) => t.dataset.artist === artistName);
+    const layer = tile && tile.querySelector(`.source-layer[data-source="${source}"]`);
+    if (!layer || layer.dataset.hasImage !== 'true') return;
+
+    try {
+      await preloadImage(imageUrl, session.signal);
+    } catch (e) {
+      return; // Keep the old image
+    }
+    await cacheTileLuminance(imageUrl, artistName, source, session.signal);
+    if (!session.active) return;
+
+    setSourceLayerImage(tile, source, imageUrl);
+    if (layer.classList.contains('active')) {
+      applyTitleTheme(tile, source);
+    }
+  }
+
+  /**
+   * Request scheduler priority for a tile's requests. It's re-read while they wait, so
+   * tiles scrolled into view go first; without IntersectionObserver every tile is visible.
+   * @param {string} tileName - Board item name (the tile's data-artist)
+   */
+  function tilePriority(tileName) {
+    return () =>
+      !tileVisibilityObserver || visibleTiles.has(tileName) ? REQUEST_PRIORITY.visible : REQUEST_PRIORITY.offscreen;
+  }
+
+  /**
+   * Track which of the board's tiles are in or near the viewport (visibleTiles)
+   */
+  function observeTileVisibility() {
+    if (!window.IntersectionObserver) return;
+    if (tileVisibilityObserver) {
+      tileVisibilityObserver.disconnect();
+    }
+    visibleTiles.clear();
+    tileVisibilityObserver = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (entry.isIntersecting) {
+            visibleTiles.add(entry.target.dataset.artist);
+          } else {
+            visibleTiles.delete(entry.target.dataset.artist);
+          }
+        }
+      },
+      { rootMargin: '200px 0px' } // Rows about to scroll in count as visible
+    );
+    contentEl.querySelectorAll('.artist').forEach((tile) => tileVisibilityObserver.observe(tile));
+  }
+
+  /**
+   * Show the "slowing down" notice while the request scheduler backs off after a 429
+   */
+  function setSlowDownNotice(active) {
+    if (!slowDownNoticeEl || slowDownNoticeEl.hidden === !active) return;
+    slowDownNoticeEl.hidden = !active;
+    if (active) {
+      announceToScreenReader(slowDownNoticeEl.textContent);
+    }
+  }
+
   /**
    * Mark a tile as actively loading (triggers pulsing animation)
    */
@@ -1699,6 +2137,8 @@
     const tiles = contentEl.querySelectorAll('.artist');
     for (const tile of tiles) {
       if (tile.dataset.artist === artistName) {
+        // Server-rendered with its image already showing — no placeholder over it
+        if (tile.classList.contains('image-loaded')) break;
         tile.classList.remove('loading-image');
         tile.classList.add('loading-active');
         break;
@@ -1707,47 +2147,60 @@
   }
 
   /**
-   * Fetch all artist images with two parallel sequential pipelines:
-   * 1. iTunes pipeline: processes artists one-by-one through iTunes (no MB dependency)
-   * 2. MB pipeline: processes artists one-by-one through MusicBrainz (rate limited)
-   * Both pipelines run concurrently. Per-artist, if iTunes finds an image it's used
+   * Fetch all artist images with two parallel pipelines:
+   * 1. iTunes pipeline: every artist through iTunes (no MB dependency)
+   * 2. MB pipeline: every artist through MusicBrainz
+   * Both go through the request scheduler, which paces each source and serves tiles in
+   * the viewport first. Per-artist, if iTunes finds an image it's used
    * immediately. If not, MB-dependent fallbacks (Discogs, AudioDB) are tried.
    * AudioDB personality data is fetched per-artist as MB data arrives.
    * Personality headline is analyzed once all personality data is collected.
+   * With a board stream provider, images, tags and the headline come from the stream
+   * instead of the per-source fetches; tile reveal and color logic are unchanged.
+   * Stops once the load session ends — nothing it resolves after that reaches the caches or the page.
+   * @param {Array} artists
+   * @param {object} provider - From createBoardStreamProvider, or null
+   * @param {object} session - From createLoadSession
+   * @returns {Promise<string|null>} The headline shown, null without personality data
    */
-  async function fetchAllArtistImages(artists) {
-    // Determine if any configured source needs MusicBrainz data
-    const needsMusicBrainz = CONFIG.imageSources.some((s) => s === 'DISCOGS' || s === 'THE_AUDIO_DB');
+  async function fetchAllArtistImages(artists, provider, session) {
+    // Determine if any configured source needs MusicBrainz data (the stream resolves it server-side)
+    const needsMusicBrainz = !provider && CONFIG.imageSources.some((s) => s === 'DISCOGS' || s === 'THE_AUDIO_DB');
 
     // Identify which sources are independent (no MB dependency)
     const independentSources = CONFIG.imageSources.filter((s) => !sourceNeedsMbData(s));
 
-    // --- Pipeline 1: MusicBrainz data (sequential, rate limited) ---
+    // --- Pipeline 1: MusicBrainz data (the scheduler's musicbrainz lane runs one at a time) ---
     // Per-artist MB data promises - resolves as each artist's MB data becomes available
     const mbDataPromises = {};
 
     if (needsMusicBrainz) {
-      // Chain MB fetches sequentially but expose individual promises
-      let mbChain = Promise.resolve();
+      // Keyed by the performing artist, so album/track tiles by the same artist share one resolution
+      const resolutions = {};
       for (const artist of artists) {
-        const artistName = artist.name;
-        const artistMbid = artist.mbid;
-
-        mbDataPromises[artistName] = new Promise((resolve) => {
-          mbChain = mbChain.then(async () => {
+        const artistName = artist.artist;
+        if (!resolutions[artistName]) {
+          resolutions[artistName] = (async () => {
             // Check cache first
             if (imageCache[`${artistName}:MB_DATA`] !== undefined) {
-              resolve(imageCache[`${artistName}:MB_DATA`]);
-              return;
+              return imageCache[`${artistName}:MB_DATA`];
             }
             const mbStart = performance.now();
-            const data = await getMusicBrainzData(artistName, artistMbid);
+            const data = await getMusicBrainzData(artistName, artist.mbid, {
+              signal: session.signal,
+              priority: tilePriority(artist.name)
+            });
             recordPersonalityCall(artistName, 'MusicBrainz', performance.now() - mbStart);
+            // Superseded: don't cache cancelled resolutions
+            if (!session.active) {
+              return {};
+            }
             const result = { mbid: data.mbid, discogsId: data.discogsId };
-            imageCache[`${artistName}:MB_DATA`] = result;
-            resolve(result);
-          });
-        });
+            setMbData(artistName, result);
+            return result;
+          })();
+        }
+        mbDataPromises[artist.name] = resolutions[artistName];
       }
     }
 
@@ -1759,26 +2212,16 @@
       return mbDataPromises[artistName] || Promise.resolve({});
     }
 
-    // --- Pipeline 2: Independent source images (sequential per-source, no rate limit) ---
-    // For each independent source (e.g., iTunes), create a sequential chain that processes
-    // artists one-by-one. This avoids flooding any single API with parallel requests.
+    // --- Pipeline 2: Independent source images (paced per source by the scheduler) ---
     // Each artist gets a per-source promise that resolves with the image result.
     const independentImagePromises = {}; // { artistName: { ITUNES: Promise<result>, ... } }
 
-    for (const source of independentSources) {
-      let sourceChain = Promise.resolve();
-      for (const artist of artists) {
-        const artistName = artist.name;
-        if (!independentImagePromises[artistName]) {
-          independentImagePromises[artistName] = {};
-        }
-
-        independentImagePromises[artistName][source] = new Promise((resolve) => {
-          sourceChain = sourceChain.then(async () => {
-            const result = await fetchImageForSource(artistName, source, {});
-            resolve(result);
-          });
-        });
+    for (const artist of artists) {
+      independentImagePromises[artist.name] = {};
+      for (const source of independentSources) {
+        independentImagePromises[artist.name][source] = provider
+          ? provider.getImage(artist.name, source)
+          : fetchImageForSource(artist, source, {}, session.signal);
       }
     }
 
@@ -1787,34 +2230,49 @@
     // whatever data is available so far, without waiting for all artists to complete.
     const resolvedPersonalityMap = {}; // artistName -> personality data (populated as each resolves)
 
+    // Tags describe the performing artist, so album/track tiles use their artist's tags
     const personalityDataPromises = artists.map(async (artist) => {
       let data;
 
       // Check personality cache first (no need to wait for MB)
-      if (personalityCache[artist.name]) {
-        data = { ...personalityCache[artist.name], playcount: parseInt(artist.playcount, 10) || 1 };
+      if (personalityCache[artist.artist]) {
+        data = { ...personalityCache[artist.artist], playcount: parseInt(artist.playcount, 10) || 1 };
+      } else if (provider) {
+        // TheAudioDB tags resolved server-side
+        const tags = await provider.getTags(artist.name);
+        data = {
+          name: artist.artist,
+          genre: tags.genre,
+          style: tags.style,
+          mood: tags.mood,
+          playcount: parseInt(artist.playcount, 10) || 1
+        };
+        if (session.active && (tags.genre || tags.style || tags.mood)) setPersonalityData(artist.artist, data);
       } else {
         // Wait for this artist's MB data (resolves as soon as this artist's MB call completes)
         const mbWaitStart = performance.now();
         const mbData = await getMbDataForArtist(artist.name);
-        recordPersonalityCall(artist.name, 'MB wait+actual', performance.now() - mbWaitStart);
+        recordPersonalityCall(artist.artist, 'MB wait+actual', performance.now() - mbWaitStart);
 
         // Fetch from TheAudioDB if we have MBID
         if (mbData.mbid) {
           const adbStart = performance.now();
-          const audioDbData = await fetchAudioDBData(mbData.mbid);
-          recordPersonalityCall(artist.name, 'AudioDB', performance.now() - adbStart);
+          const audioDbData = await fetchAudioDBData(mbData.mbid, {
+            signal: session.signal,
+            priority: tilePriority(artist.name)
+          });
+          recordPersonalityCall(artist.artist, 'AudioDB', performance.now() - adbStart);
           data = {
-            name: artist.name,
+            name: artist.artist,
             genre: audioDbData.genre,
             style: audioDbData.style,
             mood: audioDbData.mood,
             playcount: parseInt(artist.playcount, 10) || 1
           };
-          personalityCache[artist.name] = data;
+          if (session.active) setPersonalityData(artist.artist, data);
         } else {
           data = {
-            name: artist.name,
+            name: artist.artist,
             genre: null,
             style: null,
             mood: null,
@@ -1853,15 +2311,21 @@
           finalMoodWeights['relaxed'] = 1;
         }
 
-        const headlineRandom = currentPersonalitySeed ? createSeededRandom(currentPersonalitySeed + 1000) : null;
-        const analysis = await analyzePersonality(validData, headlineRandom);
+        // Integer seed for /api/personality's template fallback
+        const headlineSeed = currentPersonalitySeed
+          ? (createSeededRandom(currentPersonalitySeed + 1000)() * 1000000) | 0
+          : null;
+        const analysis = provider
+          ? await provider.getPersonality(validData, headlineSeed)
+          : await analyzePersonality(validData, headlineSeed, session.signal);
+        if (!session.active) return { hasPersonality: false };
         displayPersonality(analysis.headline);
         const colorRandom = currentPersonalitySeed ? createSeededRandom(currentPersonalitySeed + 2000) : null;
         animateBackgroundColor(generateBlendedColor(colorRandom, finalMoodWeights, undefined, getCurrentImageHues()));
 
-        return { hasPersonality: true };
+        return { hasPersonality: true, headline: analysis.headline };
       }
-      return { hasPersonality: false };
+      return { hasPersonality: false, headline: null };
     });
 
     // Track whether personality will set the final color (resolved later)
@@ -1887,7 +2351,7 @@
      * @param {boolean} [force=false] - If true, update even if not at a regular interval
      */
     function tryProgressiveColorUpdate(force = false) {
-      if (loadedArtistNames.length === 0) return;
+      if (!session.active || loadedArtistNames.length === 0) return;
 
       const isLastBatch = loadedArtistNames.length === totalArtists;
       const atInterval = loadedArtistNames.length % 3 === 1;
@@ -1965,9 +2429,10 @@
               break;
             }
           } else {
-            // MB-dependent source - await MB data first, then fetch
-            const mbData = await getMbDataForArtist(artist.name);
-            const result = await fetchImageForSource(artist.name, source, mbData);
+            // MB-dependent source - await MB data first, then fetch (or take it from the stream)
+            const result = provider
+              ? await provider.getImage(artist.name, source)
+              : await fetchImageForSource(artist, source, await getMbDataForArtist(artist.name), session.signal);
             if (result.imageUrl) {
               bestResult = result;
               break;
@@ -1979,10 +2444,15 @@
           bestResult = { source: CONFIG.imageSources[0], imageUrl: null };
         }
 
-        const tileResult = await prepareTileImage(artist.name, bestResult.imageUrl, bestResult.source);
+        const tileResult = await prepareTileImage(
+          artist.name,
+          bestResult.imageUrl,
+          bestResult.source,
+          session.signal
+        );
 
         // Reveal tile as soon as its image is ready
-        if (tileResult) {
+        if (tileResult && session.active) {
           revealRow([tileResult]);
 
           // Track this artist as loaded
@@ -1996,87 +2466,326 @@
     );
 
     // Ensure personality analysis completes before we return
-    await personalityPromise;
+    const { headline } = await personalityPromise;
 
     // All tiles have revealed and contributed their image hues. Force one final
     // color update so the settled background includes the full hue contribution
     // set — covering the case where the personality-driven settled color at
     // line 1690 fired before tiles had finished revealing.
     tryProgressiveColorUpdate(true);
+
+    return headline;
+  }
+
+  /**
+   * Board data provider backed by the board stream (/api/board/:username/stream)
+   * fetchAllArtistImages and prefetchOtherSources ask it for per-artist promises instead
+   * of calling the proxies; each promise settles when its event arrives. If the stream
+   * drops or fails before `done`, anything still pending falls back to the direct
+   * per-source fetches, so the board always completes — unless the load session has ended,
+   * in which case pending promises are left unsettled and the superseded board just stops.
+   * @param {EventSource} stream - Open stream, already past its `artists` event
+   * @param {Array} artists - Board artists (name, mbid, playcount)
+   * @param {object} session - From createLoadSession (which closes the stream when it ends)
+   * @param {number|null} headlineSeed - Seed the server made its headline with (the `artists`
+   *   event), so the /api/personality fallback gets the same template headline
+   */
+  function createBoardStreamProvider(stream, artists, session, headlineSeed) {
+    const slots = {}; // key -> { promise, resolve, settled, fallback }
+
+    function getSlot(key, fallback) {
+      if (!slots[key]) {
+        let resolve;
+        const promise = new Promise((r) => {
+          resolve = r;
+        });
+        slots[key] = { promise, resolve, settled: false, fallback };
+      }
+      return slots[key];
+    }
+
+    function settle(key, value) {
+      const slot = getSlot(key);
+      if (!slot.settled) {
+        slot.settled = true;
+        slot.resolve(value);
+      }
+    }
+
+    // Direct-fetch fallbacks share one MusicBrainz resolution per artist
+    const mbDataPromises = {};
+    function getMbData(artist) {
+      if (!mbDataPromises[artist.name]) {
+        mbDataPromises[artist.name] = getMusicBrainzData(artist.name, artist.mbid, {
+          signal: session.signal,
+          priority: tilePriority(artist.name)
+        });
+      }
+      return mbDataPromises[artist.name];
+    }
+
+    for (const artist of artists) {
+      for (const source of ORIGINAL_SOURCE_ORDER) {
+        getSlot(`image:${artist.name}:${source}`, async () => {
+          const mbData = sourceNeedsMbData(source) ? await getMbData(artist) : {};
+          return fetchImageForSource(artist, source, mbData, session.signal);
+        });
+      }
+      getSlot(`tags:${artist.name}`, async () => {
+        const { mbid } = await getMbData(artist);
+        if (!mbid) return { genre: null, style: null, mood: null };
+        const { genre, style, mood } = await fetchAudioDBData(mbid, {
+          signal: session.signal,
+          priority: tilePriority(artist.name)
+        });
+        return { genre, style, mood };
+      });
+    }
+
+    stream.addEventListener('image', (event) => {
+      const { name, source, url, analysis } = JSON.parse(event.data);
+      const cacheKey = `${name}:${source}`;
+      const previous = imageCache[cacheKey];
+      if (url) {
+        setImageUrl(cacheKey, url);
+        // Sent only when the server had it cached; otherwise the tile reveal asks for it (cacheTileLuminance)
+        if (analysis) {
+          setImageAnalysis(cacheKey, analysis);
+        }
+        // Already painted from cache (see getImage) — this event is its revalidation
+        if (previous && previous !== url) {
+          refreshTileImage(name, url, source, session);
+        }
+      } else if (!previous) {
+        // A failed lookup shouldn't blank an image we know
+        setImageUrl(cacheKey, null);
+      }
+      settle(`image:${name}:${source}`, { source, imageUrl: url || previous || null });
+    });
+
+    stream.addEventListener('tags', (event) => {
+      const { name, genre, style, mood } = JSON.parse(event.data);
+      // Tags served from cache are refreshed for next time (this board already used them)
+      if (personalityCache[name] && (genre || style || mood)) {
+        setPersonalityData(name, { ...personalityCache[name], genre, style, mood });
+      }
+      settle(`tags:${name}`, { genre, style, mood });
+    });
+
+    stream.addEventListener('personality', (event) => {
+      markPersonalityTiming('T5 board stream personality');
+      settle('personality', JSON.parse(event.data));
+    });
+
+    function finish() {
+      stream.close();
+      if (!session.active) return;
+      for (const slot of Object.values(slots)) {
+        if (!slot.settled) {
+          slot.settled = true;
+          if (slot.fallback) {
+            slot.fallback().then(slot.resolve);
+          } else {
+            slot.resolve(null);
+          }
+        }
+      }
+    }
+
+    stream.addEventListener('done', finish);
+    stream.addEventListener('failure', finish);
+    stream.onerror = finish;
+
+    return {
+      getImage(artistName, source) {
+        // Known images paint right away; the stream's event for them revalidates
+        const cached = imageCache[`${artistName}:${source}`];
+        if (cached) {
+          return Promise.resolve({ source, imageUrl: cached });
+        }
+        return getSlot(`image:${artistName}:${source}`).promise;
+      },
+      getTags(artistName) {
+        return getSlot(`tags:${artistName}`).promise;
+      },
+      // Server headline; falls back to POST /api/personality if the stream couldn't produce one
+      async getPersonality(validData, seed) {
+        const result = await getSlot('personality').promise;
+        return result || analyzePersonality(validData, headlineSeed || seed, session.signal);
+      }
+    };
+  }
+
+  /**
+   * Board data provider for a saved board shown offline (see loadUser): images and tags
+   * come from the caches, the headline from the snapshot, without any requests
+   * @param {{ items: Array, headline: string|null, savedAt: number }} snapshot
+   */
+  function createSnapshotProvider(snapshot) {
+    return {
+      getImage(artistName, source) {
+        return Promise.resolve({ source, imageUrl: imageCache[`${artistName}:${source}`] || null });
+      },
+      getTags() {
+        return Promise.resolve({ genre: null, style: null, mood: null });
+      },
+      async getPersonality(validData, seed) {
+        return snapshot.headline ? { headline: snapshot.headline } : analyzePersonality(validData, seed);
+      }
+    };
+  }
+
+  /**
+   * Key for a user's board in the current period and mode (boardSnapshots)
+   */
+  function boardSnapshotKey(username) {
+    return `${username.toLowerCase()}|${CONFIG.period}|${CONFIG.mode}`;
+  }
+
+  /**
+   * Save a fully loaded board for offline viewing. Its images and tags are in the
+   * persisted caches already; the service worker (public/sw.js) keeps the image files.
+   */
+  function saveBoardSnapshot(username, items, headline) {
+    const key = boardSnapshotKey(username);
+    boardSnapshots[key] = { items, headline, savedAt: Date.now() };
+    clientCache.write('boards', key, boardSnapshots[key], CLIENT_CACHE.ttlMs.board);
+  }
+
+  /**
+   * Say the board on screen is a saved copy, and from when; hidden again by the next load
+   * @param {number|null} savedAt - Snapshot timestamp, or null to hide the notice
+   */
+  function setOfflineNotice(savedAt) {
+    if (!offlineNoticeEl) return;
+    if (!savedAt) {
+      offlineNoticeEl.hidden = true;
+      offlineNoticeEl.textContent = '';
+      return;
+    }
+    const date = new Date(savedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    offlineNoticeEl.textContent = `You're offline, showing data from ${date}.`;
+    offlineNoticeEl.hidden = false;
+    announceToScreenReader(offlineNoticeEl.textContent);
   }
 
   /**
    * Render error state
    */
   function renderError(message) {
-    contentEl.setAttribute('aria-busy', 'true');
-    contentEl.innerHTML = `<div class="error-state" role="alert"><p><em>${sanitize(message)}</em></p></div>`;
-    contentEl.removeAttribute('aria-busy');
+    renderNotice(message);
 
     // Also update the error container linked to the username input
     if (usernameErrorEl) {
       usernameErrorEl.textContent = message;
     }
+  }
+
+  /**
+   * Show a message in place of the board (errors, retry progress) and announce it
+   */
+  function renderNotice(message) {
+    contentEl.setAttribute('aria-busy', 'true');
+    contentEl.innerHTML = `<div class="error-state"><p><em>${sanitize(message)}</em></p></div>`;
+    contentEl.removeAttribute('aria-busy');
 
+    announceToScreenReader(message);
     slideDown(contentEl);
   }
 
   /**
-   * Render artist tiles with accessibility support
+   * Render board tiles (artists, albums or tracks) with accessibility support
    * Each tile has 3 source layer divs (one per image source) for smooth crossfading
+   * @param {Array} artists - Board items (see toBoardItems)
+   * @param {string} username
+   * @param {EventSource|null} stream - Open board stream to read images/tags/personality from
+   * @param {boolean} hydrate - Adopt the server-rendered tiles already in .content if they
+   *   are these artists, in order (see server/services/board-markup.js), instead of re-rendering
+   * @param {object} session - From createLoadSession
+   * @param {object} [snapshot] - Saved board being shown offline (see loadUser): everything
+   *   comes from the caches, and it isn't saved or revalidated again
+   * @param {number|null} [headlineSeed] - The stream's headline seed (see createBoardStreamProvider)
    */
-  function renderArtists(artists, username) {
+  function renderArtists(artists, username, stream, hydrate, session, snapshot, headlineSeed) {
     // Store artists for potential reload when sources change
     currentArtists = artists;
 
     // Generate deterministic seed from username + artist data
     // This ensures same user with same listening = same color/personality
-    currentPersonalitySeed = generatePersonalitySeed(username, artists);
+    currentPersonalitySeed = generatePersonalitySeed(username, artists, CONFIG.period);
     const seededRandom = createSeededRandom(currentPersonalitySeed);
 
     // Get primary source for initial visibility
     const primarySource = CONFIG.imageSources[0];
+    const periodSpan = PERIODS[CONFIG.period].span;
+    const noun = MODES[CONFIG.mode].noun;
 
-    const tiles = artists.map((artist, index) => {
-      const safeName = sanitize(artist.name);
-      const safeUrl = sanitize(artist.url);
-      const playcount = parseInt(artist.playcount, 10) || 0;
-      const playsText = playcount === 1 ? 'play' : 'plays';
-
-      // Create source layer divs for each image source
-      const sourceLayers = ORIGINAL_SOURCE_ORDER.map((source) => {
-        const isActive = source === primarySource ? ' active' : '';
-        return `<div class="source-layer${isActive}" data-source="${source}"></div>`;
-      }).join('');
+    const renderedTiles = hydrate ? Array.from(contentEl.querySelectorAll('.artist')) : [];
+    const hydrated =
+      renderedTiles.length === artists.length &&
+      renderedTiles.every((tile, index) => tile.dataset.artist === artists[index].name);
 
-      // Accessible link with descriptive aria-label; inner content is presentational
-      return `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer" aria-label="${safeName}, ${playcount} ${playsText} this month"><div class="artist loading-image" data-artist="${safeName}" role="presentation">${sourceLayers}<div class="dark" aria-hidden="true"></div><div class="title" aria-hidden="true">${safeName}<span>${playcount} ${playsText}</span></div></div></a>`;
-    });
+    // Same template as server-rendered tiles (public/scripts/board-shared.js)
+    const tiles = artists.map((artist) => window.BoardShared.renderTile(artist, { periodSpan, primarySource }));
 
     // Add heading for screen readers; suppress live region during bulk DOM update
     contentEl.setAttribute('aria-busy', 'true');
-    contentEl.innerHTML =
-      `<h2 class="visually-hidden" tabindex="-1">Top ${artists.length} artists this month</h2>` + tiles.join('');
+    if (hydrated) {
+      // Same markup is already on the page — keep it (and its images) and just wire it up
+      const heading = contentEl.querySelector('h2');
+      if (heading) heading.removeAttribute('data-ssr-board');
+    } else {
+      contentEl.innerHTML =
+        window.BoardShared.renderBoardHeading({ count: artists.length, noun, periodSpan }) + tiles.join('');
+    }
 
     // Clear any previous error state
     if (usernameErrorEl) {
       usernameErrorEl.textContent = '';
     }
 
-    slideDown(contentEl, 1000);
+    // Requests for tiles on screen go first
+    observeTileVisibility();
+
+    // Tiles open the artist drawer (handleTileClick), server-rendered ones included
+    if (artistDrawerEl) {
+      contentEl.querySelectorAll('a').forEach((link) => link.setAttribute('aria-haspopup', 'dialog'));
+    }
+
+    if (!hydrated) {
+      slideDown(contentEl, 1000);
+    }
 
     // Re-enable live region after slide animation completes and announce summary
-    setTimeout(() => {
+    session.setTimeout(() => {
       contentEl.removeAttribute('aria-busy');
-      announceToScreenReader(`Loaded top ${artists.length} artists for ${sanitize(username)}`);
+      announceToScreenReader(`Loaded top ${artists.length} ${noun} for ${sanitize(username)}`);
     }, 1100);
 
-    fetchAllArtistImages(artists).then(() => {
+    let provider = null;
+    if (snapshot) {
+      provider = createSnapshotProvider(snapshot);
+    } else if (stream) {
+      provider = createBoardStreamProvider(stream, artists, session, headlineSeed);
+    }
+
+    fetchAllArtistImages(artists, provider, session).then((headline) => {
+      if (!session.active) return;
+
+      // Keep it for offline viewing (a saved copy is left as it was)
+      if (!snapshot) {
+        saveBoardSnapshot(username, artists, headline);
+      }
+
       // Mark primary source as available for rotation
       addAvailableSource(CONFIG.imageSources[0]);
 
-      // Prefetch images from other sources in background for instant switching
-      prefetchOtherSources(artists);
+      // Prefetch images from other sources in background for instant switching,
+      // then refresh whatever this board painted from the persisted cache
+      // (a saved copy is refreshed by the live load once the connection is back)
+      prefetchOtherSources(artists, provider, session).then(() => {
+        if (!snapshot) revalidateRestoredEntries(artists, session);
+      });
     });
 
     // Use seeded random for deterministic color (same user data = same color)
@@ -2087,8 +2796,11 @@
    * Prefetch images from non-primary sources in background
    * This enables instant crossfade when switching sources
    * Also populates the source layer divs for each tile
+   * @param {Array} artists
+   * @param {object} provider - From createBoardStreamProvider (images then come from the stream), or null
+   * @param {object} session - From createLoadSession; prefetching stops when it ends
    */
-  async function prefetchOtherSources(artists) {
+  async function prefetchOtherSources(artists, provider, session) {
     const primarySource = CONFIG.imageSources[0];
     const otherSources = ORIGINAL_SOURCE_ORDER.filter((s) => s !== primarySource);
 
@@ -2097,7 +2809,7 @@
     // Get MusicBrainz data from cache (should already be there)
     const mbDataMap = {};
     for (const artist of artists) {
-      mbDataMap[artist.name] = imageCache[`${artist.name}:MB_DATA`] || {};
+      mbDataMap[artist.name] = imageCache[`${artist.artist}:MB_DATA`] || {};
     }
 
     // Get all tiles for updating source layers
@@ -2106,20 +2818,23 @@
     // Prefetch each source sequentially to avoid rate limit issues
     for (const source of otherSources) {
       for (const artist of artists) {
+        if (!session.active) return;
         const mbData = mbDataMap[artist.name];
 
         // Use fetchImageForSource which handles caching
-        const { imageUrl } = await fetchImageForSource(artist.name, source, mbData);
+        const { imageUrl } = provider
+          ? await provider.getImage(artist.name, source)
+          : await fetchImageForSource(artist, source, mbData, session.signal, false, REQUEST_PRIORITY.background);
 
         // If we got an image, set it on the source layer
-        if (imageUrl) {
+        if (imageUrl && session.active) {
           const tile = Array.from(tiles).find((t) => t.dataset.artist === artist.name);
           if (tile) {
             try {
-              await preloadImage(imageUrl);
+              await preloadImage(imageUrl, session.signal);
               setSourceLayerImage(tile, source, imageUrl);
               // Cache luminance for this source so rotation can apply correct theme
-              cacheTileLuminance(imageUrl, artist.name, source);
+              cacheTileLuminance(imageUrl, artist.name, source, session.signal);
             } catch (e) {
               // Silently fail - this is background prefetch
             }
@@ -2128,12 +2843,409 @@
       }
 
       // This source is now fully loaded - add to available sources for rotation
+      if (!session.active) return;
       addAvailableSource(source);
     }
   }
 
   /**
-   * Fetch and display top artists for a user
+   * Background revalidation for a board painted from the persisted cache: look up every
+   * entry it used that was restored from disk and hasn't been refreshed since (the board
+   * stream refreshes what it sends), and swap in images that changed. One artist at a time,
+   * once the board has otherwise finished loading.
+   * @param {Array} artists
+   * @param {object} session - From createLoadSession
+   */
+  async function revalidateRestoredEntries(artists, session) {
+    for (const artist of artists) {
+      const staleSources = ORIGINAL_SOURCE_ORDER.filter((source) =>
+        clientCache.isRestored('images', `${artist.name}:${source}`)
+      );
+      const staleTags = clientCache.isRestored('personality', artist.artist);
+      if (staleSources.length === 0 && !staleTags) continue;
+      if (!session.active) return;
+
+      const mbKey = `${artist.artist}:MB_DATA`;
+      let mbData = imageCache[mbKey] || {};
+      if (clientCache.isRestored('images', mbKey) && (staleTags || staleSources.some(sourceNeedsMbData))) {
+        const data = await getMusicBrainzData(artist.artist, artist.mbid, {
+          signal: session.signal,
+          priority: REQUEST_PRIORITY.background
+        });
+        if (!session.active) return;
+        // Keep the old resolution if this one failed
+        if (data.mbid) {
+          mbData = { mbid: data.mbid, discogsId: data.discogsId };
+          setMbData(artist.artist, mbData);
+        }
+      }
+
+      for (const source of staleSources) {
+        const previous = imageCache[`${artist.name}:${source}`];
+        const { imageUrl } = await fetchImageForSource(
+          artist,
+          source,
+          mbData,
+          session.signal,
+          true,
+          REQUEST_PRIORITY.background
+        );
+        if (!session.active) return;
+        if (imageUrl && imageUrl !== previous) {
+          await refreshTileImage(artist.name, imageUrl, source, session);
+        }
+      }
+
+      if (staleTags && mbData.mbid) {
+        const { genre, style, mood } = await fetchAudioDBData(mbData.mbid, {
+          signal: session.signal,
+          priority: REQUEST_PRIORITY.background
+        });
+        if (!session.active) return;
+        if (genre || style || mood) {
+          setPersonalityData(artist.artist, { ...personalityCache[artist.artist], genre, style, mood });
+        }
+      }
+    }
+  }
+
+  /**
+   * Open a tile's links in the artist drawer; modified clicks (new tab or window) still go to Last.fm.
+   * Enter on a focused tile link fires a click too.
+   */
+  function handleTileClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const link = event.target.closest('a');
+    const tile = link && link.querySelector('.artist');
+    if (!tile) return;
+    const item = currentArtists.find((artist) => artist.name === tile.dataset.artist);
+    if (!item) return;
+
+    event.preventDefault();
+    openArtistDrawer(item, link);
+  }
+
+  /**
+   * Open the artist drawer for a board item: its rank and share of the board's plays right
+   * away, then the artist's images, background, tags, members and links as they load.
+   * All of it comes from the proxies (and caches) the board itself uses.
+   * @param {object} item - Board item (see toBoardItems)
+   * @param {HTMLElement} tileLinkEl - The tile's link, focused again when the drawer closes
+   */
+  function openArtistDrawer(item, tileLinkEl) {
+    if (artistDrawerSession) {
+      artistDrawerSession.end();
+    }
+    const session = createLoadSession();
+    artistDrawerSession = session;
+    artistDrawerReturnFocusEl = tileLinkEl;
+
+    const bodyEl = artistDrawerEl.querySelector('.artist-drawer-body');
+    bodyEl.innerHTML =
+      renderArtistDrawerHeader(item) +
+      '<div class="artist-drawer-details" aria-busy="true"><p class="artist-drawer-status">Loading details…</p></div>';
+
+    // The board's background, so the themed text colors stay readable
+    artistDrawerEl.style.backgroundColor = getComputedStyle(wrapperEl).backgroundColor;
+    if (!artistDrawerEl.open) {
+      artistDrawerEl.showModal();
+    }
+
+    loadArtistDetails(item, session).then((details) => {
+      if (!session.active) return;
+      const detailsEl = bodyEl.querySelector('.artist-drawer-details');
+      detailsEl.innerHTML = renderArtistDrawerDetails(item, details);
+      detailsEl.removeAttribute('aria-busy');
+    });
+  }
+
+  /**
+   * Drawer closed (close button, Escape or a click on the backdrop): stop its requests and
+   * return focus to the tile it was opened from
+   */
+  function handleArtistDrawerClose() {
+    if (artistDrawerSession) {
+      artistDrawerSession.end();
+      artistDrawerSession = null;
+    }
+    if (artistDrawerReturnFocusEl && artistDrawerReturnFocusEl.isConnected) {
+      artistDrawerReturnFocusEl.focus();
+    }
+    artistDrawerReturnFocusEl = null;
+  }
+
+  /**
+   * Everything the drawer shows beyond the board item. The artist's resolution and images
+   * usually come from the caches the board filled; the rest is looked up now.
+   * @param {object} item - Board item (see toBoardItems)
+   * @param {object} session - The drawer's session (see openArtistDrawer)
+   * @returns {Promise<{ mbData, audioDb, discogs, appleMusicUrl, images: Array<{ source, imageUrl }> }>}
+   *   audioDb/discogs/appleMusicUrl are null when unavailable; images has only the sources that have one
+   */
+  async function loadArtistDetails(item, session) {
+    // The drawer is for a tile the user just picked — it goes ahead of offscreen tiles
+    const options = { signal: session.signal, priority: REQUEST_PRIORITY.visible };
+
+    let mbData = imageCache[`${item.artist}:MB_DATA`];
+    if (mbData === undefined) {
+      const data = await getMusicBrainzData(item.artist, item.mbid, options);
+      mbData = { mbid: data.mbid, discogsId: data.discogsId };
+      if (session.active) {
+        setMbData(item.artist, mbData);
+      }
+    }
+
+    const [audioDb, discogs, appleMusicUrl, images] = await Promise.all([
+      fetchAudioDBDetails(mbData.mbid, options),
+      fetchDiscogsDetails(mbData.discogsId, options),
+      fetchAppleMusicUrl(item.artist, options),
+      Promise.all(
+        ORIGINAL_SOURCE_ORDER.map((source) =>
+          fetchImageForSource(item, source, mbData, session.signal, false, REQUEST_PRIORITY.visible)
+        )
+      )
+    ]);
+
+    return { mbData, audioDb, discogs, appleMusicUrl, images: images.filter((image) => image.imageUrl) };
+  }
+
+  /**
+   * Drawer heading: the item, its rank on the board and its share of the board's plays
+   */
+  function renderArtistDrawerHeader(item) {
+    const rank = currentArtists.indexOf(item) + 1;
+    const playcount = parseInt(item.playcount, 10) || 0;
+    const playsText = playcount === 1 ? 'play' : 'plays';
+    const total = currentArtists.reduce((sum, entry) => sum + (parseInt(entry.playcount, 10) || 0), 0);
+    const share = total > 0 ? (playcount / total) * 100 : 0;
+    const shareText = share > 0 && share < 1 ? '&lt;1%' : `${Math.round(share)}%`;
+
+    const byline = item.type === 'artist' ? '' : `<p class="artist-drawer-byline">by ${sanitize(item.artist)}</p>`;
+    const stats =
+      `#${rank} of ${currentArtists.length} · ${playcount} ${playsText} ${PERIODS[CONFIG.period].span}` +
+      ` · ${shareText} of this board's plays`;
+
+    return `<header class="artist-drawer-header"><h2 id="artist-drawer-title">${sanitize(item.title)}</h2>${byline}<p class="artist-drawer-stats">${stats}</p></header>`;
+  }
+
+  /**
+   * Drawer body once loadArtistDetails settles: images with their source, formation year and
+   * country, tag chips, TheAudioDB biography, Discogs profile and members, and outbound links
+   */
+  function renderArtistDrawerDetails(item, { mbData, audioDb, discogs, appleMusicUrl, images }) {
+    const artistName = sanitize(item.artist);
+    const artistAttr = escapeAttribute(item.artist);
+    const paragraphs = (text) =>
+      text
+        .split(/\n+/)
+        .filter((line) => line.trim())
+        .map((line) => `<p>${sanitize(line.trim())}</p>`)
+        .join('');
+    let html = '';
+
+    if (images.length > 0) {
+      const figures = images.map(({ source, imageUrl }) => {
+        // iTunes shows the cover on album and track boards (see fetchImageForSource)
+        const alt = source === 'ITUNES' && item.type !== 'artist' ? escapeAttribute(item.title) : artistAttr;
+        const src = escapeAttribute(proxiedImageUrl(imageUrl));
+        return `<figure><img src="${src}" alt="${alt}" loading="lazy" /><figcaption>via ${SOURCE_NAMES[source]}</figcaption></figure>`;
+      });
+      html += `<div class="artist-drawer-images">${figures.join('')}</div>`;
+    }
+
+    const facts = [];
+    if (audioDb && audioDb.formedYear) facts.push(`Formed ${audioDb.formedYear}`);
+    if (audioDb && audioDb.country) facts.push(sanitize(audioDb.country));
+    if (facts.length > 0) {
+      html += `<p class="artist-drawer-facts">${facts.join(' · ')}</p>`;
+    }
+
+    // Same tags the personality headline is built from; the board's copy if TheAudioDB is unavailable
+    const tags = audioDb || personalityCache[item.artist] || {};
+    const chips = [...new Set([tags.genre, tags.style, tags.mood].filter(Boolean))];
+    if (chips.length > 0) {
+      const items = chips.map((chip) => `<li>${sanitize(chip)}</li>`).join('');
+      html += `<ul class="artist-drawer-tags" aria-label="Genre, style and mood">${items}</ul>`;
+    }
+
+    if (audioDb && audioDb.biography) {
+      html += `<section><h3>Biography</h3>${paragraphs(audioDb.biography)}<p class="artist-drawer-credit">From TheAudioDB</p></section>`;
+    }
+
+    if (discogs && discogs.profile) {
+      html += `<section><h3>Profile</h3>${paragraphs(discogs.profile)}<p class="artist-drawer-credit">From Discogs</p></section>`;
+    }
+
+    if (discogs && discogs.members.length > 0) {
+      const members = discogs.members
+        .map((member) => `<li>${sanitize(member.name)}${member.active ? '' : ' <span>(former)</span>'}</li>`)
+        .join('');
+      html += `<section><h3>Members</h3><ul class="artist-drawer-members">${members}</ul></section>`;
+    }
+
+    if (!html) {
+      html = `<p class="artist-drawer-status">No more details found for ${artistName}.</p>`;
+    }
+
+    const discogsUrl = discogs ? discogs.url : mbData.discogsId && `https://www.discogs.com/artist/${mbData.discogsId}`;
+    const links = [
+      ['Last.fm', item.url],
+      ['MusicBrainz', mbData.mbid && `https://musicbrainz.org/artist/${mbData.mbid}`],
+      ['Discogs', discogsUrl],
+      ['Apple Music', appleMusicUrl]
+    ]
+      .map(([label, url]) => [label, safeExternalUrl(url)])
+      .filter(([, url]) => url)
+      .map(
+        ([label, url]) =>
+          `<li><a href="${escapeAttribute(url)}" target="_blank" rel="noopener noreferrer">${label}</a></li>`
+      )
+      .join('');
+    html += `<nav aria-label="${artistAttr} elsewhere"><ul class="artist-drawer-links">${links}</ul></nav>`;
+
+    return html;
+  }
+
+  /**
+   * Normalize a Last.fm top list into board items: { type, name, title, artist, mbid, playcount, url }
+   * - name: tile key, unique within the board (the artist name for artist tiles)
+   * - title: shown on the tile
+   * - artist/mbid: the performing artist, used for MusicBrainz/Discogs/TheAudioDB
+   *   lookups and personality tags
+   * @param {string} mode - Key of MODES
+   * @param {object} data - Last.fm topartists/topalbums/toptracks response
+   */
+  function toBoardItems(mode, data) {
+    if (mode === 'artists') {
+      const artists = (data.topartists && data.topartists.artist) || [];
+      return artists.map((artist) => ({
+        type: 'artist',
+        name: artist.name,
+        title: artist.name,
+        artist: artist.name,
+        mbid: artist.mbid || null,
+        playcount: artist.playcount,
+        url: artist.url
+      }));
+    }
+
+    const list = mode === 'albums' ? data.topalbums && data.topalbums.album : data.toptracks && data.toptracks.track;
+    return (list || []).map((entry) => ({
+      type: MODES[mode].type,
+      name: `${entry.artist.name} – ${entry.name}`,
+      title: entry.name,
+      artist: entry.artist.name,
+      mbid: entry.artist.mbid || null,
+      playcount: entry.playcount,
+      url: entry.url
+    }));
+  }
+
+  /**
+   * Fetch a user's top list for the current mode, preferring the board stream
+   * Resolves with { failure } when the server couldn't load it ({ status, code, retryAfter },
+   * see LOAD_FAILURES), otherwise with { data, stream, headlineSeed }: data in Last.fm's top list shape,
+   * and the open EventSource to keep reading images/tags/personality from (with the seed of its
+   * headline) — or stream: null when streaming isn't available (album/track modes, no EventSource,
+   * or the stream failed before its `artists` event), in which case the Last.fm proxy is used directly.
+   * The request and stream belong to the load session: both are cancelled when it ends.
+   */
+  function requestTopList(username, session) {
+    const query = `period=${CONFIG.period}&limit=${CONFIG.artistLimit}`;
+
+    async function fetchTopList() {
+      // No scheduler retries: loadUser retries with its own notice (LOAD_RETRY)
+      const url = `/api/lastfm/user/${encodeURIComponent(username)}/top${CONFIG.mode}?${query}`;
+      const response = await requestScheduler.fetch('board', url, {
+        signal: session.signal,
+        priority: REQUEST_PRIORITY.board,
+        retries: 0
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { failure: { status: response.status, code: data.code, retryAfter: data.retryAfter }, stream: null };
+      }
+      return { data, stream: null };
+    }
+
+    // The board stream only builds artist boards
+    if (!window.EventSource || CONFIG.mode !== 'artists') {
+      return fetchTopList();
+    }
+
+    return new Promise((resolve, reject) => {
+      const stream = new EventSource(`/api/board/${encodeURIComponent(username)}/stream?${query}`);
+      session.signal.addEventListener('abort', () => stream.close());
+      let opened = false;
+
+      stream.addEventListener('artists', (event) => {
+        if (opened) return;
+        opened = true;
+        const { artists, headlineSeed } = JSON.parse(event.data);
+        resolve({ data: { topartists: { artist: artists } }, stream, headlineSeed });
+      });
+
+      // Last.fm rejected the request (unknown user, private, rate limited, ...)
+      stream.addEventListener('failure', (event) => {
+        if (opened) return;
+        opened = true;
+        stream.close();
+        const { status, code, retryAfter } = JSON.parse(event.data);
+        resolve({ failure: { status, code, retryAfter }, stream: null });
+      });
+
+      // Couldn't stream at all (rate limited, proxy stripped SSE, network) — use the proxy
+      stream.onerror = () => {
+        if (opened) return;
+        opened = true;
+        stream.close();
+        fetchTopList().then(resolve, reject);
+      };
+    });
+  }
+
+  /**
+   * Message and retry policy for a failed board load ({ status, code } from requestTopList)
+   */
+  function describeLoadFailure({ status, code }) {
+    if (LOAD_FAILURES[code]) {
+      return LOAD_FAILURES[code];
+    }
+    if (status === 400) {
+      return { message: "That doesn't look like a Last.fm username.", retry: false };
+    }
+    if (status === 429) {
+      return LOAD_FAILURES.rate_limited;
+    }
+    // 5xx, timeouts, network errors
+    return { message: "We couldn't reach Last.fm.", retry: true };
+  }
+
+  /**
+   * How long to wait before retrying a failed load: the server's retryAfter, or exponential backoff
+   */
+  function loadRetryDelayMs({ retryAfter }, attempt) {
+    return Math.max((retryAfter || 0) * 1000, LOAD_RETRY.baseMs * Math.pow(2, attempt));
+  }
+
+  /**
+   * "Please try again ..." for a temporary failure we've stopped retrying
+   */
+  function tryAgainText({ retryAfter }) {
+    if (!retryAfter) {
+      return 'Please try again later.';
+    }
+    if (retryAfter < 60) {
+      return `Please try again in ${retryAfter} ${retryAfter === 1 ? 'second' : 'seconds'}.`;
+    }
+    const minutes = Math.ceil(retryAfter / 60);
+    return `Please try again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`;
+  }
+
+  /**
+   * Fetch and display a user's top artists, albums or tracks (CONFIG.mode)
    */
   async function loadUser(username) {
     personalityTimingStart = performance.now();
@@ -2153,39 +3265,88 @@
     renderImageSourceRadios();
 
     updateHeaderSubtitle(username);
+    loadUserProfile(username);
+    setOfflineNotice(null);
+
+    // Only one board loads at a time: cancel the previous one's requests, stream and timers
+    if (currentSession) {
+      currentSession.end();
+    }
+    const session = createLoadSession();
+    currentSession = session;
+
+    // Hues of the previous board's tiles don't belong in this one's background
+    for (const name of Object.keys(tileHueContributions)) {
+      delete tileHueContributions[name];
+    }
+
+    // Server-rendered board for this user/period: keep its tiles (and headline, if it has one)
+    const hydrate = ssrBoardKey === `${username.toLowerCase()}|${CONFIG.period}` && CONFIG.mode === 'artists';
+    const keepPersonality = hydrate && personalityEl && personalityEl.classList.contains('visible');
+    ssrBoardKey = null;
+
     // Wait 1s incase we  error out fast and shouldn't show loading state
-    showPersonalityLoadingTimeout = setTimeout(() => showPersonalityLoading(username), 1000);
+    const showPersonalityLoadingTimeout = keepPersonality
+      ? null
+      : session.setTimeout(() => showPersonalityLoading(username), 1000);
 
-    const apiUrl = `/api/lastfm/user/${encodeURIComponent(sanitizedUsername)}/topartists?period=${CONFIG.period}&limit=${CONFIG.artistLimit}`;
+    let result;
 
-    try {
-      const response = await fetch(apiUrl);
-      const data = await response.json();
-      markPersonalityTiming('T1 lastfm topartists returned');
+    for (let attempt = 0; ; attempt++) {
+      try {
+        result = await requestTopList(sanitizedUsername, session);
+      } catch (error) {
+        if (!session.active) return;
+        console.error('Last.fm API error:', error);
+        result = { failure: { status: 0, code: navigator.onLine === false ? 'offline' : 'network_error' } };
+      }
+      if (!session.active) return;
+      markPersonalityTiming(`T1 lastfm top${CONFIG.mode} returned`);
 
       // Stop timeout for delay in showing personality loading state
-      if (showPersonalityLoadingTimeout) {
-        clearTimeout(showPersonalityLoadingTimeout);
-        showPersonalityLoadingTimeout = null;
+      session.clearTimeout(showPersonalityLoadingTimeout);
+
+      if (!result.failure) break;
+
+      // Couldn't reach the server at all: show this board as it was last saved, if it was
+      if (result.failure.status === 0) {
+        await clientCacheRestored;
+        if (!session.active) return;
+        const snapshot = boardSnapshots[boardSnapshotKey(username)];
+        if (snapshot) {
+          result = { snapshot };
+          break;
+        }
       }
 
-      if (data.error) {
-        hidePersonality();
-        renderError("Unable to load this user's listening history.");
+      hidePersonality();
+      const failure = describeLoadFailure(result.failure);
+      const waitMs = failure.retry && attempt < LOAD_RETRY.attempts ? loadRetryDelayMs(result.failure, attempt) : null;
+      if (waitMs === null || waitMs > LOAD_RETRY.maxWaitMs) {
+        renderError(`${failure.message}${failure.retry ? ` ${tryAgainText(result.failure)}` : ''}`);
         return;
       }
 
-      if (data.topartists && data.topartists.artist && data.topartists.artist.length > 0) {
-        showPersonalityLoading(username);
-        renderArtists(data.topartists.artist, username);
-      } else {
-        hidePersonality();
-        renderError('No listening data available for this user in the past month.');
-      }
-    } catch (error) {
+      const seconds = Math.ceil(waitMs / 1000);
+      renderNotice(`${failure.message} Retrying in ${seconds} ${seconds === 1 ? 'second' : 'seconds'}…`);
+      // Never resolves if another load starts meanwhile
+      await session.sleep(waitMs);
+    }
+
+    // Paint from the persisted caches (usually restored long before the top list arrives)
+    await clientCacheRestored;
+    if (!session.active) return;
+
+    const { data, stream, headlineSeed, snapshot } = result;
+    const items = snapshot ? snapshot.items : toBoardItems(CONFIG.mode, data);
+    if (items.length > 0) {
+      if (!keepPersonality) showPersonalityLoading(username);
+      renderArtists(items, username, stream || null, hydrate, session, snapshot, headlineSeed || null);
+      if (snapshot) setOfflineNotice(snapshot.savedAt);
+    } else {
+      if (stream) stream.close();
       hidePersonality();
-      console.error('Last.fm API error:', error);
-      renderError('Unable to load listening history. Please try again later.');
+      renderError(`No listening data available for this user ${PERIODS[CONFIG.period].span}.`);
     }
   }
 
@@ -2198,6 +3359,32 @@
     return decodeURIComponent(rawUsername);
   }
 
+  /**
+   * Get listening period from URL path (/:username/:period), falling back to the default
+   */
+  function getPeriodFromPath() {
+    const path = window.location.pathname.split('/');
+    return path[2] && PERIODS[path[2]] ? path[2] : DEFAULT_PERIOD;
+  }
+
+  /**
+   * Get board mode from the URL query (?mode=albums), falling back to the default
+   */
+  function getModeFromUrl() {
+    const mode = new URLSearchParams(window.location.search).get('mode');
+    return mode && MODES[mode] ? mode : DEFAULT_MODE;
+  }
+
+  /**
+   * Build the shareable path for a username, period and board mode
+   * Defaults are left out so /username stays the canonical board URL
+   */
+  function buildBoardPath(username, period, mode) {
+    const userPath = '/' + encodeURIComponent(username);
+    const path = period && period !== DEFAULT_PERIOD ? `${userPath}/${period}` : userPath;
+    return mode && mode !== DEFAULT_MODE ? `${path}?mode=${mode}` : path;
+  }
+
   /**
    * Handle username form submission
    */
@@ -2206,8 +3393,8 @@
       event.preventDefault(); // Prevent native form submission
       const inputVal = usernameInput.value.trim();
       if (inputVal) {
-        const newUrl = '/' + encodeURIComponent(inputVal);
-        window.history.pushState({ username: inputVal }, '', newUrl);
+        const newUrl = buildBoardPath(inputVal, CONFIG.period, CONFIG.mode);
+        window.history.pushState({ username: inputVal, period: CONFIG.period, mode: CONFIG.mode }, '', newUrl);
         loadUser(inputVal).then(() => {
           // Move focus to the results heading after content loads
           const heading = contentEl.querySelector('h2');
@@ -2225,6 +3412,10 @@
    */
   function handlePopState() {
     const username = getUsernameFromPath();
+    CONFIG.period = getPeriodFromPath();
+    CONFIG.mode = getModeFromUrl();
+    renderPeriodRadios();
+    renderModeRadios();
     loadUser(username).then(() => {
       // Move focus to the results heading after content loads
       const heading = contentEl.querySelector('h2');
@@ -2269,6 +3460,86 @@
     });
   }
 
+  /**
+   * Render listening period radio buttons in the header
+   */
+  function renderPeriodRadios() {
+    const container = document.querySelector('.period-config');
+    if (!container) return;
+
+    let html = '<span class="config-label">Period:</span>';
+
+    Object.entries(PERIODS).forEach(([period, { label }]) => {
+      const checked = period === CONFIG.period ? ' checked' : '';
+      html += `<label><input type="radio" name="period" id="period-${period}" value="${period}"${checked}> ${label}</label>`;
+    });
+
+    container.innerHTML = html;
+
+    const radios = container.querySelectorAll('input[type="radio"]');
+    radios.forEach((radio) => {
+      radio.addEventListener('change', handlePeriodChange);
+    });
+  }
+
+  /**
+   * Handle listening period radio button changes
+   * Pushes a shareable /:username/:period URL and reloads the board for the new window
+   */
+  function handlePeriodChange() {
+    const selectedRadio = document.querySelector('.period-config input[type="radio"]:checked');
+    if (!selectedRadio || !PERIODS[selectedRadio.value]) return;
+
+    const period = selectedRadio.value;
+    if (period === CONFIG.period) return;
+    CONFIG.period = period;
+
+    const username = getUsernameFromPath();
+    const mode = CONFIG.mode;
+    window.history.pushState({ username, period, mode }, '', buildBoardPath(username, period, mode));
+    loadUser(username);
+  }
+
+  /**
+   * Render board mode radio buttons (artists / albums / tracks) in the header
+   */
+  function renderModeRadios() {
+    const container = document.querySelector('.mode-config');
+    if (!container) return;
+
+    let html = '<span class="config-label">Show:</span>';
+
+    Object.entries(MODES).forEach(([mode, { label }]) => {
+      const checked = mode === CONFIG.mode ? ' checked' : '';
+      html += `<label><input type="radio" name="mode" id="mode-${mode}" value="${mode}"${checked}> ${label}</label>`;
+    });
+
+    container.innerHTML = html;
+
+    const radios = container.querySelectorAll('input[type="radio"]');
+    radios.forEach((radio) => {
+      radio.addEventListener('change', handleModeChange);
+    });
+  }
+
+  /**
+   * Handle board mode radio button changes
+   * Pushes a shareable URL (?mode=) and reloads the board as the chosen top list
+   */
+  function handleModeChange() {
+    const selectedRadio = document.querySelector('.mode-config input[type="radio"]:checked');
+    if (!selectedRadio || !MODES[selectedRadio.value]) return;
+
+    const mode = selectedRadio.value;
+    if (mode === CONFIG.mode) return;
+    CONFIG.mode = mode;
+
+    const username = getUsernameFromPath();
+    const period = CONFIG.period;
+    window.history.pushState({ username, period, mode }, '', buildBoardPath(username, period, mode));
+    loadUser(username);
+  }
+
   /**
    * Stop auto-rotation of images
    * Also cancels any pending timeout to start rotation
@@ -2489,19 +3760,39 @@
     contentEl = document.querySelector('.content');
     usernameInput = document.getElementById('lastfm-username');
     headerSubtitle = document.querySelector('header h2');
+    profileEl = document.querySelector('.user-profile');
     personalityEl = document.querySelector('.music-personality');
     srAnnouncerEl = document.getElementById('sr-announcer');
     usernameErrorEl = document.getElementById('username-error');
+    offlineNoticeEl = document.querySelector('.offline-notice');
+    slowDownNoticeEl = document.querySelector('.slow-down-notice');
 
     if (!wrapperEl || !contentEl) {
       console.error('Required DOM elements not found');
       return;
     }
 
+    clientCacheRestored = restoreClientCaches();
+
+    // Only markup of this script's version is adopted (a cached page may predate a deploy)
+    const ssrHeading = contentEl.querySelector('[data-ssr-board]');
+    const ssrMarkupCurrent =
+      ssrHeading && ssrHeading.dataset.ssrMarkup === String(window.BoardShared.BOARD_MARKUP_VERSION);
+    ssrBoardKey = ssrMarkupCurrent ? ssrHeading.dataset.ssrBoard : null;
+
+    // Offline, the service worker may answer with another page's copy (the / shell): not this board's
+    const ogUrl = document.querySelector('meta[property="og:url"]');
+    keepServerDescriptions = Boolean(ogUrl) && new URL(ogUrl.content).pathname === window.location.pathname;
+
     // Render image source radio buttons based on CONFIG.imageSources
     // (event listeners are added inside renderImageSourceRadios)
     renderImageSourceRadios();
 
+    CONFIG.period = getPeriodFromPath();
+    CONFIG.mode = getModeFromUrl();
+    renderPeriodRadios();
+    renderModeRadios();
+
     const username = getUsernameFromPath();
     loadUser(username);
 
@@ -2510,6 +3801,33 @@
     }
 
     window.addEventListener('popstate', handlePopState);
+
+    // Artist detail drawer
+    const drawerEl = document.querySelector('.artist-drawer');
+    if (drawerEl && typeof drawerEl.showModal === 'function') {
+      artistDrawerEl = drawerEl;
+      contentEl.addEventListener('click', handleTileClick);
+      drawerEl.addEventListener('close', handleArtistDrawerClose);
+      drawerEl.querySelector('.artist-drawer-close').addEventListener('click', () => drawerEl.close());
+      // A click on the backdrop lands on the dialog itself (its content fills it)
+      drawerEl.addEventListener('click', (event) => {
+        if (event.target === drawerEl) drawerEl.close();
+      });
+    }
+
+    // Showing a saved board: load the live one once the connection is back
+    window.addEventListener('online', () => {
+      if (offlineNoticeEl && !offlineNoticeEl.hidden) {
+        loadUser(getUsernameFromPath());
+      }
+    });
+
+    // Installable app and offline boards (public/sw.js)
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js').catch((error) => {
+        console.warn('Service worker registration failed:', error);
+      });
+    }
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,179 @@
+/**
+ * Board definitions shared by the browser and the server, so each exists once:
+ * the page loads this before app.js (window.BoardShared), and server/services require it.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BoardShared = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Image source identifiers: CONFIG.imageSources and tile layers in app.js, board stream events
+  const SOURCES = {
+    ITUNES: 'ITUNES', // Searches by name, gets album art
+    DISCOGS: 'DISCOGS', // Needs Discogs ID (from MusicBrainz)
+    THE_AUDIO_DB: 'THE_AUDIO_DB' // Needs MBID (from MusicBrainz)
+  };
+
+  // Default source order; the first is the primary source
+  const SOURCE_ORDER = [SOURCES.ITUNES, SOURCES.DISCOGS, SOURCES.THE_AUDIO_DB];
+
+  // Version of the board markup below. Server-rendered boards carry it (data-ssr-markup) and
+  // app.js only hydrates its own version — not, say, a page cached before a deploy changed it
+  const BOARD_MARKUP_VERSION = 1;
+
+  /**
+   * Mood-to-color mapping for personality-influenced backgrounds (app.js) and Open Graph
+   * cards (server/services/og-image.js). Each mood has a hue range, saturation range, and
+   * lightness range; hue ranges are designed to evoke the emotional quality of each mood
+   */
+  const MOOD_COLORS = {
+    happy: {
+      // Warm yellows, oranges, bright greens (30-120 hue range)
+      hueMin: 30,
+      hueMax: 120,
+      satMin: 60,
+      satMax: 85,
+      lightMin: 22,
+      lightMax: 32
+    },
+    sad: {
+      // Cool blues, blue-purples (200-260 hue range)
+      hueMin: 200,
+      hueMax: 260,
+      satMin: 40,
+      satMax: 70,
+      lightMin: 18,
+      lightMax: 28
+    },
+    angry: {
+      // Reds, deep oranges (0-30 or 340-360 hue range)
+      hueMin: 340,
+      hueMax: 390, // Wraps around: 390 = 30
+      satMin: 65,
+      satMax: 90,
+      lightMin: 20,
+      lightMax: 30
+    },
+    relaxed: {
+      // Soft greens, teals, gentle blues (140-200 hue range)
+      hueMin: 140,
+      hueMax: 200,
+      satMin: 35,
+      satMax: 65,
+      lightMin: 20,
+      lightMax: 30
+    },
+    energetic: {
+      // Vibrant magentas, hot pinks, electric purples (280-340 hue range)
+      hueMin: 280,
+      hueMax: 340,
+      satMin: 70,
+      satMax: 95,
+      lightMin: 22,
+      lightMax: 32
+    },
+    dark: {
+      // Deep purples, dark blues, near-blacks (240-300 hue range)
+      hueMin: 240,
+      hueMax: 300,
+      satMin: 30,
+      satMax: 60,
+      lightMin: 12,
+      lightMax: 22
+    }
+  };
+
+  /**
+   * Escape text for HTML, attribute values included
+   */
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * The URL if it is http(s), otherwise null — links from upstream data never get
+   * a javascript: or other scheme into an href
+   */
+  function safeExternalUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Screen-reader heading above the tiles
+   * @param {string} [ssrBoard] - "username|period" on server-rendered boards, which app.js hydrates
+   */
+  function renderBoardHeading({ count, noun, periodSpan, ssrBoard }) {
+    const marker = ssrBoard
+      ? ` data-ssr-board="${escapeHtml(ssrBoard)}" data-ssr-markup="${BOARD_MARKUP_VERSION}"`
+      : '';
+    return `<h2 class="visually-hidden" tabindex="-1"${marker}>Top ${count} ${noun} ${periodSpan}</h2>`;
+  }
+
+  /**
+   * One board tile: a layer per image source for crossfading, with only the primary shown
+   * @param {{ type, name, title, artist, playcount, url }} item - Board item (toBoardItems in app.js)
+   * @param {object} options
+   * @param {string} options.periodSpan - Label suffix for the period (e.g. "this month")
+   * @param {string} options.primarySource - Source whose layer is shown
+   * @param {string} [options.state] - Tile state classes, e.g. 'image-loaded light-image'
+   * @param {string} [options.image] - Primary layer's image URL, when it is known up front
+   */
+  function renderTile(item, { periodSpan, primarySource, state = 'loading-image', image = null }) {
+    const playcount = parseInt(item.playcount, 10) || 0;
+    const playsText = playcount === 1 ? 'play' : 'plays';
+    // Album and track tiles credit the artist under the title
+    const isArtist = item.type === 'artist';
+    const byline = isArtist ? '' : `${escapeHtml(item.artist)} · `;
+    const label = escapeHtml(isArtist ? item.title : `${item.title} by ${item.artist}`);
+    const href = escapeHtml(safeExternalUrl(item.url) || '#');
+
+    const sourceLayers = SOURCE_ORDER.map((source) => {
+      if (source !== primarySource) {
+        return `<div class="source-layer" data-source="${source}"></div>`;
+      }
+      if (!image) {
+        return `<div class="source-layer active" data-source="${source}"></div>`;
+      }
+      return `<div class="source-layer active" data-source="${source}" data-has-image="true" style="background-image: url(${escapeHtml(image)})"></div>`;
+    }).join('');
+
+    // Accessible link with descriptive aria-label; inner content is presentational
+    return `<a href="${href}" target="_blank" rel="noopener noreferrer" aria-label="${label}, ${playcount} ${playsText} ${periodSpan}"><div class="artist ${state}" data-artist="${escapeHtml(item.name)}" role="presentation">${sourceLayers}<div class="dark" aria-hidden="true"></div><div class="title" aria-hidden="true">${escapeHtml(item.title)}<span>${byline}${playcount} ${playsText}</span></div></div></a>`;
+  }
+
+  /**
+   * Inner HTML of .music-personality: the label and the headline (empty while it loads)
+   * @param {string} whosHtml - "My" or "<username>'s", already escaped
+   * @param {string} [headline]
+   */
+  function renderPersonality(whosHtml, headline) {
+    return `<span class="personality-label">${whosHtml} Music Personality</span><span class="personality-content"><span class="personality-rolling" aria-hidden="true"></span><span class="personality-text">${escapeHtml(headline)}</span></span>`;
+  }
+
+  return {
+    SOURCES,
+    SOURCE_ORDER,
+    BOARD_MARKUP_VERSION,
+    MOOD_COLORS,
+    escapeHtml,
+    safeExternalUrl,
+    renderBoardHeading,
+    renderTile,
+    renderPersonality
+  };
+});
@@ -0,0 +1,139 @@
+/**
+ * Service Worker
+ * Makes the app installable and lets boards you've viewed open offline:
+ * - The app shell (scripts, styles, icons, and / as the fallback page) is precached per build.
+ * - Pages are network-first, keeping the last copy of each one visited.
+ * - Tile images (/api/image) are cache-first, up to IMAGE_CACHE_MAX_ENTRIES.
+ * Board data (top list, headline, artist data) is saved by app.js in IndexedDB; offline,
+ * the page renders the board from there and says when it was saved.
+ *
+ * scripts/build.js rewrites PRECACHE_URLS to the hashed asset names and stamps BUILD_VERSION.
+ */
+
+'use strict';
+
+// Stamped by scripts/build.js from the asset hashes; 'dev' when served from source
+const BUILD_VERSION = 'dev';
+
+const STATIC_CACHE = `music-static-${BUILD_VERSION}`;
+const PAGES_CACHE = `music-pages-${BUILD_VERSION}`; // Pages name this build's assets, so they go with it
+const IMAGES_CACHE = 'music-images';
+
+const PAGE_CACHE_MAX_ENTRIES = 30;
+const IMAGE_CACHE_MAX_ENTRIES = 400; // 12 tiles × 3 sources per board — the last ten or so boards
+
+// App shell; the asset URLs are rewritten to their hashed names by scripts/build.js (HASHABLE_ASSETS)
+const PRECACHE_URLS = [
+  '/',
+  '/scripts/board-shared.js',
+  '/scripts/app.js',
+  '/stylesheets/main.css',
+  '/stylesheets/reset.css',
+  '/manifest.json',
+  '/img/icons/favicon.svg',
+  '/img/icons/icon-192.png',
+  '/img/icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(STATIC_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the previous build's shell and pages
+self.addEventListener('activate', (event) => {
+  const current = [STATIC_CACHE, PAGES_CACHE, IMAGES_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names.filter((name) => name.startsWith('music-') && !current.includes(name)).map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  // Fonts, analytics and the APIs (board stream included) go straight to the network
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handlePage(request));
+  } else if (url.pathname === '/api/image') {
+    event.respondWith(handleImage(request));
+  } else if (PRECACHE_URLS.includes(url.pathname)) {
+    // Hashed names never change content; unhashed ones (dev) would go stale in a cache-first shell
+    event.respondWith(BUILD_VERSION === 'dev' ? networkFirst(request, STATIC_CACHE) : cacheFirst(request));
+  }
+});
+
+/**
+ * Pages: network-first. Offline, the last copy of this page, or else the shell
+ * (app.js then renders whichever board the URL names from IndexedDB, if it has it).
+ */
+async function handlePage(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await putAndTrim(PAGES_CACHE, request, response.clone(), PAGE_CACHE_MAX_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = (await caches.match(request)) || (await caches.match('/'));
+    return cached || Response.error();
+  }
+}
+
+/**
+ * Tile images: cache-first. The proxy's URLs name one image at one size, so a copy never goes stale.
+ */
+async function handleImage(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await putAndTrim(IMAGES_CACHE, request, response.clone(), IMAGE_CACHE_MAX_ENTRIES);
+  }
+  return response;
+}
+
+async function cacheFirst(request) {
+  return (await caches.match(request)) || fetch(request);
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    return cached || Response.error();
+  }
+}
+
+/**
+ * Store a response, then drop the oldest entries past maxEntries
+ * (Cache keys come back in insertion order, and a re-put moves an entry to the end)
+ */
+async function putAndTrim(cacheName, request, response, maxEntries) {
+  const cache = await caches.open(cacheName);
+  await cache.delete(request);
+  await cache.put(request, response);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
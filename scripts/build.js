@@ -22,8 +22,10 @@ const DIST = path.join(ROOT, 'dist', 'music');
 // before the extension (e.g. app.js → app.abc12345.js) and the template is
 // rewritten to point at the new name. Favicon and PWA icons are intentionally
 // excluded — browsers look up favicon.ico by literal name and PWA icons rarely
-// churn.
+// churn. keepOriginal: the server requires the file by its plain name, so the
+// hashed copy is added next to it instead of replacing it.
 const HASHABLE_ASSETS = [
+  { distPath: 'public/scripts/board-shared.js', htmlRef: '/scripts/board-shared.js', keepOriginal: true },
   { distPath: 'public/scripts/app.js', htmlRef: '/scripts/app.js' },
   { distPath: 'public/stylesheets/main.css', htmlRef: '/stylesheets/main.css' },
   { distPath: 'public/stylesheets/reset.css', htmlRef: '/stylesheets/reset.css' }
@@ -31,6 +33,10 @@ const HASHABLE_ASSETS = [
 
 const TEMPLATE_REL_PATH = 'server/templates/index.html';
 
+// The service worker precaches the assets above by their htmlRef, so its list is
+// rewritten the same way, and its BUILD_VERSION stamped so each build replaces its caches.
+const SERVICE_WORKER_REL_PATH = 'public/sw.js';
+
 // Files and directories to include in the build
 const INCLUDE = [
   // Server files
@@ -142,8 +148,9 @@ function hashAndRewriteAssets() {
   }
 
   let template = fs.readFileSync(templateFullPath, 'utf8');
+  const rewrites = [];
 
-  for (const { distPath, htmlRef } of HASHABLE_ASSETS) {
+  for (const { distPath, htmlRef, keepOriginal } of HASHABLE_ASSETS) {
     const fullPath = path.join(DIST, distPath);
     if (!fs.existsSync(fullPath)) {
       console.log(`  ⚠ ${distPath} not found in dist — skipping`);
@@ -157,7 +164,11 @@ function hashAndRewriteAssets() {
     const base = path.basename(fullPath, ext);
     const newName = `${base}.${hash}${ext}`;
     const newFullPath = path.join(path.dirname(fullPath), newName);
-    fs.renameSync(fullPath, newFullPath);
+    if (keepOriginal) {
+      fs.copyFileSync(fullPath, newFullPath);
+    } else {
+      fs.renameSync(fullPath, newFullPath);
+    }
 
     // E.g. "/scripts/app.js" → "/scripts/app.abc12345.js"
     const newHtmlRef = htmlRef.replace(path.basename(htmlRef), newName);
@@ -166,12 +177,47 @@ function hashAndRewriteAssets() {
       console.log(`  ⚠ ${htmlRef} not found in template — hash applied but unreferenced`);
     }
     template = template.split(htmlRef).join(newHtmlRef);
+    rewrites.push({ htmlRef, newHtmlRef, hash });
 
     console.log(`  ✓ ${path.basename(distPath)} → ${newName}`);
   }
 
   fs.writeFileSync(templateFullPath, template);
   console.log(`  ✓ Rewrote ${TEMPLATE_REL_PATH} with hashed references`);
+
+  rewriteServiceWorker(rewrites);
+}
+
+/**
+ * Point the service worker's precache list at the hashed assets and stamp its
+ * BUILD_VERSION with their combined hash. References are matched in quotes
+ * ('/scripts/app.js'), so the list's '/' entry is left alone.
+ * @param {Array<{ htmlRef: string, newHtmlRef: string, hash: string }>} rewrites
+ */
+function rewriteServiceWorker(rewrites) {
+  const swFullPath = path.join(DIST, SERVICE_WORKER_REL_PATH);
+  if (!fs.existsSync(swFullPath)) {
+    console.log(`  ⚠ ${SERVICE_WORKER_REL_PATH} not found in dist — skipping`);
+    return;
+  }
+
+  let sw = fs.readFileSync(swFullPath, 'utf8');
+  for (const { htmlRef, newHtmlRef } of rewrites) {
+    if (!sw.includes(`'${htmlRef}'`)) {
+      console.log(`  ⚠ ${htmlRef} not found in ${SERVICE_WORKER_REL_PATH} — not precached`);
+    }
+    sw = sw.split(`'${htmlRef}'`).join(`'${newHtmlRef}'`);
+  }
+
+  const version = crypto
+    .createHash('sha256')
+    .update(rewrites.map(({ hash }) => hash).join(''))
+    .digest('hex')
+    .slice(0, 8);
+  sw = sw.replace("const BUILD_VERSION = 'dev';", `const BUILD_VERSION = '${version}';`);
+
+  fs.writeFileSync(swFullPath, sw);
+  console.log(`  ✓ Rewrote ${SERVICE_WORKER_REL_PATH} (precache list, version ${version})`);
 }
 
 /**
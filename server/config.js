@@ -3,11 +3,12 @@
  * Loads environment variables and provides defaults
  */
 
+const path = require('path');
+
 // Load .env file in development
 if (process.env.NODE_ENV !== 'production') {
   try {
     const fs = require('fs');
-    const path = require('path');
     const envPath = path.join(__dirname, '..', '.env');
 
     if (fs.existsSync(envPath)) {
@@ -36,30 +37,84 @@ const config = {
   // Last.fm API
   lastfm: {
     apiKey: process.env.LASTFM_API_KEY || '',
-    baseUrl: 'https://ws.audioscrobbler.com/2.0/'
+    baseUrl: 'https://ws.audioscrobbler.com/2.0/',
+    timeoutMs: 8000
   },
 
   // Discogs API
   discogs: {
     key: process.env.DISCOGS_KEY || '',
     secret: process.env.DISCOGS_SECRET || '',
-    baseUrl: 'https://api.discogs.com'
+    baseUrl: 'https://api.discogs.com',
+    timeoutMs: 8000,
+    // Shared upstream throttle: 60 req/min per authenticated app. Burst + refill
+    // stays under 60 in any rolling minute (5 + 55). Requests that would queue for longer
+    // than maxWaitMs are turned away with a 429 rather than time out behind the others.
+    throttle: {
+      capacity: 5,
+      refillPerSecond: 55 / 60,
+      maxWaitMs: 12000,
+      windowMs: 60000
+    }
   },
 
   // MusicBrainz API
   musicbrainz: {
     baseUrl: 'https://musicbrainz.org/ws/2',
-    userAgent: 'MusicApp/1.0.0 (https://music.payamyousefi.com)'
+    userAgent: 'MusicApp/1.0.0 (https://music.payamyousefi.com)',
+    timeoutMs: 8000,
+    // Shared upstream throttle: MusicBrainz asks for at most 1 req/s per IP
+    throttle: {
+      capacity: 1,
+      refillPerSecond: 1,
+      maxWaitMs: 12000,
+      windowMs: 5000
+    }
   },
 
   // TheAudioDB API
   audiodb: {
-    baseUrl: 'https://www.theaudiodb.com/api/v1/json/2'
+    baseUrl: 'https://www.theaudiodb.com/api/v1/json/2',
+    timeoutMs: 6000
   },
 
   // iTunes API
   itunes: {
-    baseUrl: 'https://itunes.apple.com'
+    baseUrl: 'https://itunes.apple.com',
+    timeoutMs: 6000
+  },
+
+  // Image proxy (/api/image): artwork is fetched from allowlisted CDNs, resized per tile and DPR
+  images: {
+    timeoutMs: 8000,
+    maxSourceBytes: 15 * 1024 * 1024, // Refuse originals larger than this (some Discogs uploads are huge)
+    tileSize: 250, // CSS px — matches CONFIG.tileSize in app.js
+    maxDpr: 3,
+    // Resized images on disk, LRU-pruned to cacheMaxBytes (cache/ is gitignored)
+    cacheDir: path.resolve(__dirname, '..', process.env.IMAGE_CACHE_DIR || 'cache/images'),
+    cacheMaxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES, 10) || 500 * 1024 * 1024,
+    pruneIntervalMs: 10 * 60 * 1000
+  },
+
+  // Per-user Open Graph cards (GET /og/:username.png, server/services/og-image.js)
+  og: {
+    timeoutMs: 6000, // Unfurlers give up after a few seconds; past this, render with what's cached
+    cacheDir: path.resolve(__dirname, '..', process.env.OG_CACHE_DIR || 'cache/og'),
+    cacheMaxBytes: 100 * 1024 * 1024,
+    pruneIntervalMs: 60 * 60 * 1000
+  },
+
+  // Shared upstream client (server/utils/upstreamClient.js)
+  // Per-service timeouts live on each service above
+  upstream: {
+    retries: 2, // Extra attempts after the first, for network errors, timeouts, 5xx and short 429s
+    retryBaseMs: 300, // Backoff ceiling doubles per attempt; actual wait is jittered below it
+    maxRetryAfterMs: 5000, // Longer Retry-After values are passed back to the browser instead of waited out
+    // Circuit breaker: after this many consecutive failed requests, fail fast with 503 for cooldownMs
+    breaker: {
+      failureThreshold: 5,
+      cooldownMs: 30000
+    }
   },
 
   // Anthropic API (for AI-powered personality headlines)
@@ -68,6 +123,18 @@ const config = {
     model: 'claude-haiku-4-5-20251001'
   },
 
+  // In-process proxy response cache (server/utils/responseCache.js)
+  // Bounded so long-TTL entries that are never read again can't grow memory forever
+  cache: {
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000,
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024,
+    sweepIntervalMs: 10 * 60 * 1000,
+    // Optional disk tier: set CACHE_DIR (relative to the project root) to persist
+    // cached responses and AI headlines across restarts. Empty = memory only.
+    dir: process.env.CACHE_DIR ? path.resolve(__dirname, '..', process.env.CACHE_DIR) : '',
+    syncIntervalMs: 30 * 1000 // How often to pick up entries written by other processes
+  },
+
   // Security settings
   security: {
     // Global API rate limiting (only applies to /api/* routes, not static files)
@@ -82,6 +149,21 @@ const config = {
       windowMs: parseInt(process.env.AI_RATE_LIMIT_WINDOW_MS, 10) || 60000,
       maxRequests: parseInt(process.env.AI_RATE_LIMIT_MAX_REQUESTS, 10) || 10
     },
+    // Own limit for same-origin artwork (/api/image): a board alone asks for ~70 images and analyses
+    imageRateLimit: {
+      windowMs: parseInt(process.env.IMAGE_RATE_LIMIT_WINDOW_MS, 10) || 60000,
+      maxRequests: parseInt(process.env.IMAGE_RATE_LIMIT_MAX_REQUESTS, 10) || 1200
+    },
+    // Page views that have to ask Last.fm (uncached user check or top artists); past it, pages are served unchecked
+    userCheckRateLimit: {
+      windowMs: parseInt(process.env.USER_CHECK_RATE_LIMIT_WINDOW_MS, 10) || 60000,
+      maxRequests: parseInt(process.env.USER_CHECK_RATE_LIMIT_MAX_REQUESTS, 10) || 20
+    },
+    // Open Graph cards (/og/:username.png): an uncached card costs Last.fm, iTunes and a sharp render
+    ogImageRateLimit: {
+      windowMs: parseInt(process.env.OG_RATE_LIMIT_WINDOW_MS, 10) || 60000,
+      maxRequests: parseInt(process.env.OG_RATE_LIMIT_MAX_REQUESTS, 10) || 30
+    },
     // CORS allowed origins
     allowedOrigins: (process.env.ALLOWED_ORIGINS || '')
       .split(',')
@@ -89,10 +171,20 @@ const config = {
       .filter(Boolean)
   },
 
+  // Server-rendered board (server/routes/pages.js): top-artist tiles and the last streamed
+  // headline in the page HTML for crawlers, link unfurlers and no-JS visitors.
+  // app.js hydrates it. SSR_BOARD=false serves an empty board for the client to fill.
+  ssr: {
+    board: process.env.SSR_BOARD !== 'false',
+    timeoutMs: 1500 // Past this, serve the page with an empty board rather than keep the visitor waiting
+  },
+
   // Default app settings
   defaults: {
+    username: 'solitude12', // Board shown at / (CONFIG.defaultUsername in app.js)
     artistLimit: 12,
-    period: '1month'
+    period: '1month',
+    imageSize: 750 // Board stream image size: 3x the 250px tile for retina (CONFIG.tileSize in app.js)
   }
 };
 
@@ -10,6 +10,8 @@ const {
   createHelmetMiddleware,
   createCorsMiddleware,
   createGlobalRateLimiter,
+  createImageRateLimiter,
+  createOgImageRateLimiter,
   inputSanitizer,
   JSON_BODY_LIMIT
 } = require('./middleware/security');
@@ -46,11 +48,18 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 
 const pagesRouter = require('./routes/pages');
 const apiRouter = require('./routes/api');
+const imageRouter = require('./routes/api/image');
+
+// Image proxy — its own, higher limit: one board makes dozens of artwork requests
+app.use('/api/image', createImageRateLimiter(), imageRouter);
 
 // API routes — rate limited to prevent automated abuse
-// (static files and page routes are NOT rate limited)
+// (static files are NOT rate limited; page routes only budget their Last.fm lookups, see routes/pages.js)
 app.use('/api', createGlobalRateLimiter(), apiRouter);
 
+// Open Graph cards (served by the page router) — each uncached card renders a PNG
+app.use('/og', createOgImageRateLimiter());
+
 // Page routes (must be last - catches all other routes for SSR)
 app.use('/', pagesRouter);
 
@@ -41,15 +41,7 @@ function createHelmetMiddleware() {
           "'self'",
           'data:',
           'https://lastfm.freetls.fastly.net',
-          'https://is1-ssl.mzstatic.com',
-          'https://is2-ssl.mzstatic.com',
-          'https://is3-ssl.mzstatic.com',
-          'https://is4-ssl.mzstatic.com',
-          'https://is5-ssl.mzstatic.com',
-          'https://www.theaudiodb.com',
-          'https://r2.theaudiodb.com',
-          'https://i.discogs.com',
-          'https://*.discogs.com',
+          // Artist artwork (iTunes, Discogs, TheAudioDB) is served same-origin via /api/image
           'https://www.google-analytics.com',
           'https://www.googletagmanager.com'
         ],
@@ -163,6 +155,63 @@ function createAIRateLimiter() {
   });
 }
 
+/**
+ * Rate limiter for the image proxy (/api/image), mounted instead of the global one
+ * Same-origin artwork is requested many times per board, but each request is cheap once cached
+ */
+function createImageRateLimiter() {
+  return rateLimit({
+    windowMs: config.security.imageRateLimit.windowMs,
+    max: config.security.imageRateLimit.maxRequests,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      error: 'Too many requests',
+      message: 'Too many image requests. Please try again later.',
+      retryAfter: Math.ceil(config.security.imageRateLimit.windowMs / 1000)
+    }
+    // Uses default keyGenerator (req.ip) which handles IPv6 correctly
+  });
+}
+
+/**
+ * Budget for page views that have to ask Last.fm (routes/pages.js counts only those)
+ * Over it, the request goes on with req.lastfmLimited set instead of getting a 429 —
+ * the page is then served without the Last.fm calls
+ */
+function createUserCheckRateLimiter() {
+  return rateLimit({
+    windowMs: config.security.userCheckRateLimit.windowMs,
+    max: config.security.userCheckRateLimit.maxRequests,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next) => {
+      req.lastfmLimited = true;
+      next();
+    }
+    // Uses default keyGenerator (req.ip) which handles IPv6 correctly
+  });
+}
+
+/**
+ * Rate limiter for the Open Graph cards (/og/:username.png)
+ * A card for an uncached board fetches a top list and artwork and composes a PNG with sharp
+ */
+function createOgImageRateLimiter() {
+  return rateLimit({
+    windowMs: config.security.ogImageRateLimit.windowMs,
+    max: config.security.ogImageRateLimit.maxRequests,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      error: 'Too many requests',
+      message: 'Too many share card requests. Please try again later.',
+      retryAfter: Math.ceil(config.security.ogImageRateLimit.windowMs / 1000)
+    }
+    // Uses default keyGenerator (req.ip) which handles IPv6 correctly
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // INPUT SANITIZATION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -235,6 +284,13 @@ function isValidUsername(username) {
   return /^[a-zA-Z0-9_-]{1,15}$/.test(username);
 }
 
+/**
+ * Validates a Last.fm time period
+ */
+function isValidPeriod(period) {
+  return VALID_PERIODS.includes(period);
+}
+
 /**
  * Validates a MusicBrainz ID (UUID format)
  */
@@ -285,12 +341,12 @@ function validateParam(paramName, validatorFn, errorMessage) {
 }
 
 /**
- * Middleware: validates query parameters for Last.fm top artists
+ * Middleware: validates query parameters for Last.fm top artists/albums/tracks
  */
 function validateLastfmQuery(req, res, next) {
   const { period, limit } = req.query;
 
-  if (period && !VALID_PERIODS.includes(period)) {
+  if (period && !isValidPeriod(period)) {
     return res.status(400).json({
       error: 'Invalid parameter',
       message: `Invalid period. Must be one of: ${VALID_PERIODS.join(', ')}`
@@ -362,6 +418,29 @@ function validateMusicbrainzQuery(req, res, next) {
   next();
 }
 
+/**
+ * Middleware: validates artist resolution query (name required, mbid optional)
+ */
+function validateArtistResolveQuery(req, res, next) {
+  const { name, mbid } = req.query;
+
+  if (name !== undefined && !isValidSearchTerm(name)) {
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'Invalid artist name'
+    });
+  }
+
+  if (mbid && !isValidMBID(mbid)) {
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'Invalid MusicBrainz ID. Must be a valid UUID.'
+    });
+  }
+
+  next();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // AI PROMPT INJECTION DEFENSE
 // ═══════════════════════════════════════════════════════════════════════════
@@ -883,19 +962,25 @@ module.exports = {
   createCorsMiddleware,
   createGlobalRateLimiter,
   createAIRateLimiter,
+  createImageRateLimiter,
+  createOgImageRateLimiter,
+  createUserCheckRateLimiter,
   inputSanitizer,
   validateParam,
   validateLastfmQuery,
   validateItunesQuery,
   validateMusicbrainzQuery,
+  validateArtistResolveQuery,
   validatePersonalityInput,
   containsPromptInjection,
   isValidUsername,
+  isValidPeriod,
   isValidMBID,
   isValidDiscogsId,
   isValidLimit,
   isValidSearchTerm,
   JSON_BODY_LIMIT,
+  VALID_PERIODS,
   ALLOWED_MOODS,
   ALLOWED_GENRES
 };
@@ -0,0 +1,42 @@
+/**
+ * Artist Resolution API
+ * Resolves Last.fm artists to verified MusicBrainz/Discogs/Wikidata IDs server-side
+ */
+
+const express = require('express');
+const { validateArtistResolveQuery } = require('../../middleware/security');
+const artistResolver = require('../../services/artist-resolver');
+const { requestSignal, sendUpstreamError } = require('../../utils/upstreamClient');
+
+const router = express.Router();
+
+const BROWSER_MAX_AGE_S = 60 * 60; // Cache-Control: short, so we can bust quickly
+
+/**
+ * GET /api/artist/resolve?name=&mbid=
+ * Resolve an artist name (and optional Last.fm MBID) to verified identifiers
+ *
+ * Response:
+ * - mbid: Verified MusicBrainz ID, or null
+ * - discogsId: Discogs artist ID from MusicBrainz relations, or null
+ * - wikidata: Wikidata QID from MusicBrainz relations, or null
+ * - confidence: 1 (verified Last.fm MBID), search score 0-1 (name match), or 0 (unresolved)
+ */
+router.get('/resolve', validateArtistResolveQuery, async (req, res) => {
+  try {
+    const { name, mbid } = req.query;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing name parameter' });
+    }
+
+    const result = await artistResolver.resolveArtist(name, mbid || null, requestSignal(res));
+
+    res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+    res.json(result);
+  } catch (error) {
+    sendUpstreamError(res, error, 'Failed to resolve artist');
+  }
+});
+
+module.exports = router;
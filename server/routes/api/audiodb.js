@@ -4,14 +4,13 @@
  */
 
 const express = require('express');
-const config = require('../../config');
 const { validateParam, isValidMBID } = require('../../middleware/security');
-const responseCache = require('../../utils/responseCache');
+const upstream = require('../../utils/upstreamClient');
+const artistSources = require('../../services/artist-sources');
 
 const router = express.Router();
 
-const ARTIST_TTL_MS = 7 * 24 * 60 * 60 * 1000;   // in-process cache: long, genre/style/mood rarely change
-const BROWSER_MAX_AGE_S = 60 * 60;               // Cache-Control: short, so we can bust quickly
+const BROWSER_MAX_AGE_S = 60 * 60; // Cache-Control: short, so we can bust quickly
 
 /**
  * GET /api/audiodb/artist/:mbid
@@ -22,60 +21,12 @@ router.get(
   validateParam('mbid', isValidMBID, 'Invalid MusicBrainz ID. Must be a valid UUID.'),
   async (req, res) => {
     try {
-      const { mbid } = req.params;
+      const data = await artistSources.getAudioDBArtist(req.params.mbid, upstream.requestSignal(res));
 
-      const cacheKey = `adb:artist:${mbid.toLowerCase()}`;
-      const cached = responseCache.get(cacheKey);
-      if (cached) {
-        res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
-        return res.json(cached);
-      }
-
-      const url = `${config.audiodb.baseUrl}/artist-mb.php?i=${mbid}`;
-
-      const response = await fetch(url, {
-        headers: {
-          Accept: 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        // Forward 429 rate-limit responses so the client can respect retryAfter
-        if (response.status === 429) {
-          let retryAfter = 60; // default fallback
-          try {
-            const body = await response.json();
-            if (body.retryAfter) {
-              retryAfter = body.retryAfter;
-            }
-          } catch (_) {
-            // Use default retryAfter
-          }
-          // Also check the standard Retry-After header
-          const headerRetry = response.headers.get('Retry-After');
-          if (headerRetry) {
-            retryAfter = parseInt(headerRetry, 10) || retryAfter;
-          }
-          console.warn(`TheAudioDB rate limited — retryAfter: ${retryAfter}s`);
-          return res.status(429).json({
-            error: 'Too many requests',
-            message: 'TheAudioDB rate limit exceeded. Please try again later.',
-            retryAfter
-          });
-        }
-
-        const text = await response.text().catch(() => '');
-        console.error(`TheAudioDB API returned ${response.status}: ${text.substring(0, 200)}`);
-        return res.status(502).json({ error: `TheAudioDB API returned ${response.status}` });
-      }
-
-      const data = await response.json();
-      responseCache.set(cacheKey, data, ARTIST_TTL_MS);
       res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
       res.json(data);
     } catch (error) {
-      console.error('TheAudioDB API error:', error);
-      res.status(502).json({ error: 'Failed to fetch from TheAudioDB API' });
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from TheAudioDB API');
     }
   }
 );
@@ -0,0 +1,67 @@
+/**
+ * Board Stream API
+ * One Server-Sent Events stream per board instead of dozens of proxy calls
+ */
+
+const express = require('express');
+const config = require('../../config');
+const { validateParam, validateLastfmQuery, isValidUsername } = require('../../middleware/security');
+const upstream = require('../../utils/upstreamClient');
+const board = require('../../services/board');
+
+const router = express.Router();
+
+/**
+ * GET /api/board/:username/stream
+ * Stream a user's board: top artists, then images, tags and the personality
+ * headline as the server resolves them. See services/board.js for the events.
+ * Always ends with a `done` event; the client closes the connection then.
+ */
+router.get(
+  '/:username/stream',
+  validateParam(
+    'username',
+    isValidUsername,
+    'Invalid username. Must be 1-15 alphanumeric characters, hyphens, or underscores.'
+  ),
+  validateLastfmQuery,
+  async (req, res) => {
+    const { username } = req.params;
+    const { period = config.defaults.period, limit = config.defaults.artistLimit } = req.query;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let a proxy (nginx) buffer the stream
+    });
+    res.flushHeaders();
+
+    const signal = upstream.requestSignal(res);
+    const send = (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    try {
+      await board.streamBoard({ username, period, limit }, send, signal);
+    } catch (error) {
+      if (error.code !== 'aborted') {
+        console.error('Board stream error:', error.message);
+        send('failure', {
+          error: 'Failed to load board',
+          message: error.message,
+          status: error.status || 502,
+          code: error.code,
+          retryAfter: error.retryAfter
+        });
+      }
+    }
+
+    send('done', {});
+    res.end();
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Image Proxy API
+ * Serves tile artwork same-origin, resized per DPR — consistent sizes across sources —
+ * and each image's luminance/hue/palette, so the client needs no canvas analysis
+ */
+
+const express = require('express');
+const config = require('../../config');
+const upstream = require('../../utils/upstreamClient');
+const imageProxy = require('../../services/image-proxy');
+
+const router = express.Router();
+
+const MAX_SRC_LENGTH = 2048;
+const BROWSER_MAX_AGE_S = 7 * 24 * 60 * 60; // Cache-Control: artwork URLs are content-addressed, safe to keep long
+
+/**
+ * Parse ?src= into an allowed image URL, or send a 400 and return null
+ */
+function parseSrc(req, res) {
+  const { src } = req.query;
+  const url = typeof src === 'string' && src.length <= MAX_SRC_LENGTH ? imageProxy.parseImageSource(src) : null;
+  if (!url) {
+    res.status(400).json({
+      error: 'Invalid image source',
+      message: 'src must be an https URL on an allowed image host.'
+    });
+  }
+  return url;
+}
+
+/**
+ * GET /api/image?src=<url>&dpr=<1-3>
+ * Artwork from an allowlisted CDN (iTunes, Discogs, TheAudioDB), resized so it covers a
+ * tile at the given device pixel ratio, re-encoded as WebP when the browser accepts it
+ * (JPEG otherwise)
+ */
+router.get('/', async (req, res) => {
+  const url = parseSrc(req, res);
+  if (!url) return;
+
+  // Fractional DPRs round up so images are never soft; a handful of sizes keeps the cache small
+  const ratio = Math.min(config.images.maxDpr, Math.max(1, Math.ceil(Number(req.query.dpr)) || 1));
+  const format = /image\/webp/.test(req.get('Accept') || '') ? 'webp' : 'jpeg';
+
+  try {
+    const image = await imageProxy.getImage({ url, dpr: ratio, format }, upstream.requestSignal(res));
+
+    res.set('Vary', 'Accept');
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': `public, max-age=${BROWSER_MAX_AGE_S}`
+    });
+    res.send(image.body);
+  } catch (error) {
+    upstream.sendUpstreamError(res, error, 'Failed to fetch image');
+  }
+});
+
+/**
+ * GET /api/image/analysis?src=<url>
+ * Title luminance, dominant hue and palette of an image, computed once per source URL.
+ * The board stream includes these in its image events; this is for boards loaded without it.
+ *
+ * Response: { light, luminance, hue: { hue, weight } | null, palette: [{ color, share }] }
+ * - light: the region under the tile title is light (use the dark title backdrop)
+ * - hue: 0-360 and weight 0-1 (how vivid/representative), null for colorless images
+ * - palette: up to 5 most common colors (#rrggbb) with their share of the image, most common first
+ */
+router.get('/analysis', async (req, res) => {
+  const url = parseSrc(req, res);
+  if (!url) return;
+
+  try {
+    const analysis = await imageProxy.getImageAnalysis(url, upstream.requestSignal(res));
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+    res.json(analysis);
+  } catch (error) {
+    upstream.sendUpstreamError(res, error, 'Failed to analyze image');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,10 @@
 
 const express = require('express');
 const { createAIRateLimiter } = require('../../middleware/security');
+const upstreamClient = require('../../utils/upstreamClient');
+const responseCache = require('../../utils/responseCache');
+const singleFlight = require('../../utils/singleFlight');
+const imageProxy = require('../../services/image-proxy');
 
 const router = express.Router();
 
@@ -14,7 +18,10 @@ const musicbrainzRouter = require('./musicbrainz');
 const discogsRouter = require('./discogs');
 const audiodbRouter = require('./audiodb');
 const itunesRouter = require('./itunes');
+const artistRouter = require('./artist');
 const personalityRouter = require('./personality');
+const boardRouter = require('./board');
+const v2Router = require('./v2');
 
 // Mount API routes
 router.use('/lastfm', lastfmRouter);
@@ -22,13 +29,28 @@ router.use('/musicbrainz', musicbrainzRouter);
 router.use('/discogs', discogsRouter);
 router.use('/audiodb', audiodbRouter);
 router.use('/itunes', itunesRouter);
+router.use('/artist', artistRouter);
+// /image is mounted in server/index.js, ahead of the global rate limiter (it has its own)
 
-// Personality endpoint gets stricter rate limiting (AI calls are expensive)
-router.use('/personality', createAIRateLimiter(), personalityRouter);
+// Normalized, slimmed-down responses (preferred by the client)
+router.use('/v2', v2Router);
 
-// Health check endpoint
+// Personality endpoint gets stricter rate limiting (AI calls are expensive).
+// The board stream generates a headline too, so it shares the same limiter — one budget per IP
+const aiRateLimiter = createAIRateLimiter();
+router.use('/personality', aiRateLimiter, personalityRouter);
+router.use('/board', aiRateLimiter, boardRouter);
+
+// Health check endpoint (upstream circuit state, queue depth, coalescing, response/image cache stats for monitoring)
 router.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    upstream: upstreamClient.getStats(),
+    inFlight: singleFlight.stats(),
+    cache: responseCache.stats(),
+    images: imageProxy.stats()
+  });
 });
 
 module.exports = router;
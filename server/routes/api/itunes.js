@@ -4,11 +4,14 @@
  */
 
 const express = require('express');
-const config = require('../../config');
 const { validateItunesQuery } = require('../../middleware/security');
+const upstream = require('../../utils/upstreamClient');
+const artistSources = require('../../services/artist-sources');
 
 const router = express.Router();
 
+const BROWSER_MAX_AGE_S = 60 * 60; // Cache-Control: short, so we can bust quickly
+
 /**
  * GET /api/itunes/search
  * Search iTunes API
@@ -21,29 +24,12 @@ router.get('/search', validateItunesQuery, async (req, res) => {
       return res.status(400).json({ error: 'Missing term parameter' });
     }
 
-    const url = new URL(`${config.itunes.baseUrl}/search`);
-    url.searchParams.set('term', term);
-    if (entity) url.searchParams.set('entity', entity);
-    if (limit) url.searchParams.set('limit', limit);
-
-    const response = await fetch(url.toString(), {
-      headers: {
-        Accept: 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const statusCode = response.status === 429 ? 429 : 502;
-      const text = await response.text().catch(() => '');
-      console.error(`iTunes search API returned ${response.status}: ${text.substring(0, 200)}`);
-      return res.status(statusCode).json({ error: `iTunes API returned ${response.status}` });
-    }
+    const data = await artistSources.itunesSearch({ term, entity, limit }, upstream.requestSignal(res));
 
-    const data = await response.json();
+    res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
     res.json(data);
   } catch (error) {
-    console.error('iTunes API error:', error);
-    res.status(502).json({ error: 'Failed to fetch from iTunes API' });
+    upstream.sendUpstreamError(res, error, 'Failed to fetch from iTunes API');
   }
 });
 
@@ -59,29 +45,12 @@ router.get('/lookup', validateItunesQuery, async (req, res) => {
       return res.status(400).json({ error: 'Missing id parameter' });
     }
 
-    const url = new URL(`${config.itunes.baseUrl}/lookup`);
-    url.searchParams.set('id', id);
-    if (entity) url.searchParams.set('entity', entity);
-    if (limit) url.searchParams.set('limit', limit);
-
-    const response = await fetch(url.toString(), {
-      headers: {
-        Accept: 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const statusCode = response.status === 429 ? 429 : 502;
-      const text = await response.text().catch(() => '');
-      console.error(`iTunes lookup API returned ${response.status}: ${text.substring(0, 200)}`);
-      return res.status(statusCode).json({ error: `iTunes API returned ${response.status}` });
-    }
+    const data = await artistSources.itunesLookup({ id, entity, limit }, upstream.requestSignal(res));
 
-    const data = await response.json();
+    res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
     res.json(data);
   } catch (error) {
-    console.error('iTunes API error:', error);
-    res.status(502).json({ error: 'Failed to fetch from iTunes API' });
+    upstream.sendUpstreamError(res, error, 'Failed to fetch from iTunes API');
   }
 });
 
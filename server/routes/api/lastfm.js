@@ -6,89 +6,76 @@
 const express = require('express');
 const config = require('../../config');
 const { validateParam, validateLastfmQuery, isValidUsername } = require('../../middleware/security');
+const upstream = require('../../utils/upstreamClient');
+const lastfm = require('../../services/lastfm');
 
 const router = express.Router();
 
+const TOP_LIST_MAX_AGE_S = 60;     // Cache-Control: back/forward reuses the list; then revalidate via ETag
+const PROFILE_MAX_AGE_S = 5 * 60; // Cache-Control: profiles change slowly; the server caches them too
+
 /**
- * GET /api/lastfm/user/:username/topartists
- * Get top artists for a user
+ * Route handler for one of the user.gettop* lists
+ * Sends the (possibly stale, see services/lastfm.js) cached list with an ETag;
+ * If-None-Match revalidation gets a 304
+ * @param {Function} getTop - lastfm.getTopArtists / getTopAlbums / getTopTracks
  */
-router.get(
-  '/user/:username/topartists',
-  validateParam(
-    'username',
-    isValidUsername,
-    'Invalid username. Must be 1-15 alphanumeric characters, hyphens, or underscores.'
-  ),
-  validateLastfmQuery,
-  async (req, res) => {
+function topListHandler(getTop) {
+  return async (req, res) => {
     try {
       const { username } = req.params;
-      const { period = '1month', limit = 12 } = req.query;
-
-      const url = new URL(config.lastfm.baseUrl);
-      url.searchParams.set('method', 'user.gettopartists');
-      url.searchParams.set('user', username);
-      url.searchParams.set('api_key', config.lastfm.apiKey);
-      url.searchParams.set('format', 'json');
-      url.searchParams.set('period', period);
-      url.searchParams.set('limit', limit);
+      const { period = config.defaults.period, limit = config.defaults.artistLimit } = req.query;
 
-      const response = await fetch(url.toString());
+      const { data, etag } = await getTop(username, { period, limit }, upstream.requestSignal(res));
 
-      if (!response.ok) {
-        const text = await response.text().catch(() => '');
-        console.error(`Last.fm topartists API returned ${response.status}: ${text.substring(0, 200)}`);
-        return res.status(502).json({ error: `Last.fm API returned ${response.status}` });
+      res.set({ ETag: etag, 'Cache-Control': `public, max-age=${TOP_LIST_MAX_AGE_S}` });
+      if (req.fresh) {
+        return res.status(304).end();
       }
-
-      const data = await response.json();
-
       res.json(data);
     } catch (error) {
-      console.error('Last.fm API error:', error);
-      res.status(502).json({ error: 'Failed to fetch from Last.fm API' });
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from Last.fm API');
     }
-  }
+  };
+}
+
+const validateUsername = validateParam(
+  'username',
+  isValidUsername,
+  'Invalid username. Must be 1-15 alphanumeric characters, hyphens, or underscores.'
 );
 
 /**
- * GET /api/lastfm/user/:username/info
- * Get user info
+ * GET /api/lastfm/user/:username/topartists
+ * Get top artists for a user
  */
-router.get(
-  '/user/:username/info',
-  validateParam(
-    'username',
-    isValidUsername,
-    'Invalid username. Must be 1-15 alphanumeric characters, hyphens, or underscores.'
-  ),
-  async (req, res) => {
-    try {
-      const { username } = req.params;
+router.get('/user/:username/topartists', validateUsername, validateLastfmQuery, topListHandler(lastfm.getTopArtists));
 
-      const url = new URL(config.lastfm.baseUrl);
-      url.searchParams.set('method', 'user.getinfo');
-      url.searchParams.set('user', username);
-      url.searchParams.set('api_key', config.lastfm.apiKey);
-      url.searchParams.set('format', 'json');
-
-      const response = await fetch(url.toString());
+/**
+ * GET /api/lastfm/user/:username/topalbums
+ * Get top albums for a user (same query parameters as topartists)
+ */
+router.get('/user/:username/topalbums', validateUsername, validateLastfmQuery, topListHandler(lastfm.getTopAlbums));
 
-      if (!response.ok) {
-        const text = await response.text().catch(() => '');
-        console.error(`Last.fm userinfo API returned ${response.status}: ${text.substring(0, 200)}`);
-        return res.status(502).json({ error: `Last.fm API returned ${response.status}` });
-      }
+/**
+ * GET /api/lastfm/user/:username/toptracks
+ * Get top tracks for a user (same query parameters as topartists)
+ */
+router.get('/user/:username/toptracks', validateUsername, validateLastfmQuery, topListHandler(lastfm.getTopTracks));
 
-      const data = await response.json();
+/**
+ * GET /api/lastfm/user/:username/info
+ * Get user info (profile header: real name, avatar, country, scrobbles, registration date)
+ */
+router.get('/user/:username/info', validateUsername, async (req, res) => {
+  try {
+    const data = await lastfm.getUserInfo(req.params.username, upstream.requestSignal(res));
 
-      res.json(data);
-    } catch (error) {
-      console.error('Last.fm API error:', error);
-      res.status(502).json({ error: 'Failed to fetch from Last.fm API' });
-    }
+    if (data.user) res.set('Cache-Control', `public, max-age=${PROFILE_MAX_AGE_S}`);
+    res.json(data);
+  } catch (error) {
+    upstream.sendUpstreamError(res, error, 'Failed to fetch from Last.fm API');
   }
-);
+});
 
 module.exports = router;
@@ -0,0 +1,146 @@
+/**
+ * Versioned API (v2)
+ * Normalized, slimmed-down artist records. Same caches and upstream calls as the
+ * v1 proxies, but only the fields the client uses, in shapes we control — smaller
+ * payloads on mobile, and upstream schema changes stop at the server.
+ */
+
+const express = require('express');
+const { validateParam, isValidDiscogsId, isValidMBID } = require('../../middleware/security');
+const upstream = require('../../utils/upstreamClient');
+const artistSources = require('../../services/artist-sources');
+const artistResolver = require('../../services/artist-resolver');
+
+const router = express.Router();
+
+const BROWSER_MAX_AGE_S = 60 * 60; // Cache-Control: short, so we can bust quickly
+
+/**
+ * GET /api/v2/discogs/artist/:id
+ * Discogs artist image candidates
+ *
+ * Response: { id, name, images: [{ uri, width, height, primary }] }
+ * - images: usable images only (no placeholders), primary image first
+ */
+router.get(
+  '/discogs/artist/:id',
+  validateParam('id', isValidDiscogsId, 'Invalid Discogs ID. Must be a numeric value.'),
+  async (req, res) => {
+    try {
+      const data = await artistSources.getDiscogsArtist(req.params.id, upstream.requestSignal(res));
+      const artist = artistSources.normalizeDiscogsArtist(data);
+
+      res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+      if (!artist) {
+        return res.status(404).json({ error: 'Discogs artist not found' });
+      }
+      res.json(artist);
+    } catch (error) {
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from Discogs API');
+    }
+  }
+);
+
+/**
+ * GET /api/v2/discogs/artist/:id/details
+ * Discogs profile and members, for the artist drawer (same cached record as above)
+ *
+ * Response: { id, name, profile, url, members: [{ id, name, active }] }
+ * - profile: plain text (Discogs link markup resolved), or null
+ * - url: the artist's page on discogs.com
+ */
+router.get(
+  '/discogs/artist/:id/details',
+  validateParam('id', isValidDiscogsId, 'Invalid Discogs ID. Must be a numeric value.'),
+  async (req, res) => {
+    try {
+      const data = await artistSources.getDiscogsArtist(req.params.id, upstream.requestSignal(res));
+      const artist = artistSources.normalizeDiscogsDetails(data);
+
+      res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+      if (!artist) {
+        return res.status(404).json({ error: 'Discogs artist not found' });
+      }
+      res.json(artist);
+    } catch (error) {
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from Discogs API');
+    }
+  }
+);
+
+/**
+ * GET /api/v2/audiodb/artist/:mbid
+ * TheAudioDB image and genre/style/mood tags
+ *
+ * Response: { mbid, name, image, genre, style, mood } (any field may be null)
+ */
+router.get(
+  '/audiodb/artist/:mbid',
+  validateParam('mbid', isValidMBID, 'Invalid MusicBrainz ID. Must be a valid UUID.'),
+  async (req, res) => {
+    try {
+      const data = await artistSources.getAudioDBArtist(req.params.mbid, upstream.requestSignal(res));
+      const artist = artistSources.normalizeAudioDBArtist(data);
+
+      res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+      if (!artist) {
+        return res.status(404).json({ error: 'TheAudioDB artist not found' });
+      }
+      res.json(artist);
+    } catch (error) {
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from TheAudioDB API');
+    }
+  }
+);
+
+/**
+ * GET /api/v2/audiodb/artist/:mbid/details
+ * TheAudioDB biography and background, for the artist drawer (same cached record as above)
+ *
+ * Response: { mbid, name, image, genre, style, mood, biography, formedYear, country } (any field may be null)
+ */
+router.get(
+  '/audiodb/artist/:mbid/details',
+  validateParam('mbid', isValidMBID, 'Invalid MusicBrainz ID. Must be a valid UUID.'),
+  async (req, res) => {
+    try {
+      const data = await artistSources.getAudioDBArtist(req.params.mbid, upstream.requestSignal(res));
+      const artist = artistSources.normalizeAudioDBDetails(data);
+
+      res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+      if (!artist) {
+        return res.status(404).json({ error: 'TheAudioDB artist not found' });
+      }
+      res.json(artist);
+    } catch (error) {
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from TheAudioDB API');
+    }
+  }
+);
+
+/**
+ * GET /api/v2/musicbrainz/artist/:mbid
+ * MusicBrainz artist identity and related IDs
+ *
+ * Response: { mbid, name, discogsId, wikidata }
+ */
+router.get(
+  '/musicbrainz/artist/:mbid',
+  validateParam('mbid', isValidMBID, 'Invalid MusicBrainz ID. Must be a valid UUID.'),
+  async (req, res) => {
+    try {
+      const data = await artistResolver.lookupArtist(req.params.mbid, upstream.requestSignal(res));
+      const artist = artistResolver.normalizeMusicBrainzArtist(data);
+
+      if (!artist) {
+        return res.status(404).json({ error: 'MusicBrainz artist not found' });
+      }
+      res.set('Cache-Control', `public, max-age=${BROWSER_MAX_AGE_S}`);
+      res.json(artist);
+    } catch (error) {
+      upstream.sendUpstreamError(res, error, 'Failed to fetch from MusicBrainz API');
+    }
+  }
+);
+
+module.exports = router;
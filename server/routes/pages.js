@@ -1,14 +1,27 @@
 /**
  * Page Routes
- * Serves HTML pages with SSR meta tags
+ * Serves HTML pages with SSR meta tags. Usernames are checked against Last.fm first:
+ * unknown users get a noindex 404, other casings a 301 to the canonical one.
+ * Also serves each board's Open Graph card, which the pages' og:image points at.
  */
 
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const { createUserCheckRateLimiter, isValidPeriod, isValidUsername } = require('../middleware/security');
+const { escapeHtml, jsonForScript } = require('../utils/html');
+const upstream = require('../utils/upstreamClient');
+const lastfm = require('../services/lastfm');
+const boardMarkup = require('../services/board-markup');
+const { getCachedPersonality } = require('../services/board');
+const ogImage = require('../services/og-image');
 
 const router = express.Router();
 
+// Per-IP budget for page views that have to ask Last.fm (see limitLastfmLookups)
+const userCheckLimiter = createUserCheckRateLimiter();
+
 // Load HTML template
 const templatePath = path.join(__dirname, '..', 'templates', 'index.html');
 let htmlTemplate = '';
@@ -19,34 +32,298 @@ try {
   console.error('Failed to load HTML template:', err);
 }
 
+// Phrasing per Last.fm period (mirrors PERIODS in public/scripts/app.js)
+// over: header/description phrase, span: tile/heading suffix
+const PERIODS = {
+  '7day': { over: 'Over the past week', span: 'this week' },
+  '1month': { over: 'Over the past month', span: 'this month' },
+  '3month': { over: 'Over the past 3 months', span: 'in the past 3 months' },
+  '6month': { over: 'Over the past 6 months', span: 'in the past 6 months' },
+  '12month': { over: 'Over the past year', span: 'this year' },
+  overall: { over: 'Of all time', span: 'of all time' }
+};
+
+// Past this, serve the page without the Last.fm check rather than keep the visitor waiting
+const USER_CHECK_TIMEOUT_MS = 2000;
+
+const OG_CARD_MAX_AGE_S = 60 * 60; // Cache-Control: cards change with the top artists; then revalidate via ETag
+const OG_FALLBACK_IMAGE = '/img/og-image.png';
+
+const SITE_URL = 'https://music.payamyousefi.com';
+const DESCRIPTION_ARTISTS = 3; // Top artists named in the meta description
+const DESCRIPTION_PROFILE_ENTRIES = 2; // Top moods, then top genres, in the meta description
+
+/**
+ * Look up a username on Last.fm (user.getinfo, cached in the service)
+ * @returns {Promise<{ found: boolean, name?: string }|null>} name: Last.fm's canonical casing;
+ *   null when Last.fm couldn't be asked in time (outage, rate limit, timeout)
+ */
+async function checkUser(username) {
+  try {
+    const data = await lastfm.getUserInfo(username, AbortSignal.timeout(USER_CHECK_TIMEOUT_MS));
+    return { found: true, name: data.user && data.user.name };
+  } catch (error) {
+    if (error.code === 'user_not_found') return { found: false };
+    if (error.code !== 'aborted') console.warn(`User check failed for ${username}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Page views answered from the cache cost nothing upstream and pass freely. Ones that need
+ * an uncached user check or top list count against a per-IP budget, so crawling random
+ * usernames can't drain the shared Last.fm key; past it, req.lastfmLimited is set and the
+ * page is served without them (as when Last.fm is unreachable).
+ */
+function limitLastfmLookups(req, res, next) {
+  const username = req.params.username || '';
+  const period = req.params.period || config.defaults.period;
+  // Requests the page route turns away without a Last.fm call
+  if (!isValidPeriod(period) || (username && !isValidUsername(username))) {
+    return next();
+  }
+
+  const boardUsername = username || config.defaults.username;
+  const cached =
+    (!username || lastfm.hasCachedUser(username)) &&
+    lastfm.hasCachedTopArtists(boardUsername, { period, limit: config.defaults.artistLimit });
+  if (cached) {
+    return next();
+  }
+  userCheckLimiter(req, res, next);
+}
+
+/**
+ * Top artists for the server-rendered board, or null when they can't be had in time
+ * (the client then renders the board itself)
+ */
+async function loadTopArtists(username, period) {
+  try {
+    const { data } = await lastfm.getTopArtists(
+      username,
+      { period, limit: config.defaults.artistLimit },
+      AbortSignal.timeout(config.ssr.timeoutMs)
+    );
+    return (data.topartists && data.topartists.artist) || [];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Top entries of a calculateProfiles profile (ai-personality.js), e.g. "45% moody, 20% sad"
+ */
+function formatProfile(profile) {
+  return Object.entries(profile || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, DESCRIPTION_PROFILE_ENTRIES)
+    .map(([name, share]) => `${Math.round(share * 100)}% ${name}`)
+    .join(', ');
+}
+
+/**
+ * Plain-text meta/og description for a board: the cached headline with its mood/genre
+ * breakdown (when the board has been streamed), then the top few artists
+ * @param {string} whos - "my" or "<username>'s"
+ * @param {object|null} personality - From getCachedPersonality
+ */
+function describeBoard({ whos, periodSpan, artists, personality }) {
+  const sentences = [];
+  if (personality) {
+    const breakdown = [formatProfile(personality.moodProfile), formatProfile(personality.genreProfile)]
+      .filter(Boolean)
+      .join(' · ');
+    const details = breakdown ? ` (${breakdown})` : '';
+    sentences.push(`${personality.headline}: ${whos} music personality ${periodSpan}${details}.`);
+  } else {
+    sentences.push(`Curious about ${whos} taste in music?`);
+  }
+  if (artists.length > 0) {
+    const names = artists.slice(0, DESCRIPTION_ARTISTS).map((artist) => artist.name);
+    const more = artists.length > DESCRIPTION_ARTISTS ? ' and more' : '';
+    sentences.push(`Top artists ${periodSpan}: ${names.join(', ')}${more}.`);
+  }
+  return sentences.join(' ');
+}
+
 /**
- * Escape HTML to prevent XSS
+ * schema.org JSON-LD for a board: a profile page about the Last.fm user, with their
+ * top artists as an ordered list
  */
-function escapeHtml(str) {
-  if (!str) return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function boardJsonLd({ username, urlPath, periodSpan, description, artists, personality }) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ProfilePage',
+    url: `${SITE_URL}/${urlPath}`,
+    description,
+    mainEntity: {
+      '@type': 'Person',
+      name: username,
+      ...(personality ? { description: personality.headline } : {}),
+      sameAs: `https://www.last.fm/user/${encodeURIComponent(username)}`
+    },
+    hasPart: {
+      '@type': 'ItemList',
+      name: `Top artists ${periodSpan}`,
+      itemListOrder: 'https://schema.org/ItemListOrderDescending',
+      numberOfItems: artists.length,
+      itemListElement: artists.map((artist, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        item: { '@type': 'MusicGroup', name: artist.name, url: artist.url }
+      }))
+    }
+  };
 }
 
 /**
- * GET /:username?
+ * Fill the page template
+ */
+function renderPage({
+  title,
+  whos,
+  description,
+  periodPhrase,
+  urlPath,
+  ogImagePath,
+  username,
+  robots,
+  board = { content: '', personality: '' },
+  jsonLd = null
+}) {
+  // Every data-bearing value goes in through a function, so `$&`, `$'` and friends in
+  // usernames, artist names or headlines are inserted as-is rather than expanded
+  return htmlTemplate
+    .replace(/\{\{title\}\}/g, () => title)
+    .replace(/\{\{whos\}\}/g, () => whos)
+    .replace(/\{\{description\}\}/g, () => description)
+    .replace(/\{\{periodPhrase\}\}/g, periodPhrase)
+    .replace(/\{\{urlPath\}\}/g, () => escapeHtml(urlPath))
+    .replace(/\{\{ogImagePath\}\}/g, () => escapeHtml(ogImagePath))
+    .replace(/\{\{username\}\}/g, () => username)
+    .replace(/\{\{robots\}\}/g, robots)
+    .replace(/\{\{board\}\}/g, () => board.content)
+    .replace(/\{\{personality\}\}/g, () => board.personality)
+    .replace(/\{\{personalityState\}\}/g, board.personality ? ' visible' : '')
+    .replace(/\{\{jsonLd\}\}/g, () =>
+      jsonLd ? `<script type="application/ld+json">${jsonForScript(jsonLd)}</script>` : ''
+    )
+    .replace(/\{\{year\}\}/g, new Date().getFullYear().toString());
+}
+
+/**
+ * Open Graph card path for a board (see the /og route)
+ */
+function ogImagePathFor(username, period) {
+  const query = period !== config.defaults.period ? `?period=${period}` : '';
+  return `og/${encodeURIComponent(username)}.png${query}`;
+}
+
+/**
+ * GET /og/:username.png?period=<period>
+ * The board's 1200×630 share card: top artist artwork, cached personality headline and
+ * mood color (see services/og-image.js). When the top artists can't be loaded (unknown
+ * user, Last.fm down) it redirects to the site-wide card instead. Rate limited per IP
+ * (createOgImageRateLimiter, mounted in server/index.js).
+ */
+router.get('/og/:username.png', async (req, res, next) => {
+  const { username } = req.params;
+  const period = req.query.period || config.defaults.period;
+  if (!isValidUsername(username) || !isValidPeriod(period)) {
+    return next();
+  }
+
+  try {
+    const card = await ogImage.getCard(
+      {
+        username,
+        period,
+        periodSpan: PERIODS[period].span,
+        isDefault: username.toLowerCase() === config.defaults.username
+      },
+      upstream.requestSignal(res)
+    );
+
+    res.set('Content-Type', 'image/png');
+    if (!card.etag) {
+      // Placeholder artwork: nobody should keep this one, the next request may get the full card.
+      // end(), not send(), so Express doesn't add an ETag of its own
+      return res.set('Cache-Control', 'no-store').end(card.body);
+    }
+    res.set({
+      'Cache-Control': `public, max-age=${OG_CARD_MAX_AGE_S}`,
+      ETag: card.etag
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(card.body);
+  } catch (error) {
+    if (error.code !== 'aborted') console.warn(`Open Graph card failed for ${username}:`, error.message);
+    res.set('Cache-Control', 'no-cache').redirect(302, OG_FALLBACK_IMAGE);
+  }
+});
+
+/**
+ * GET /:username?/:period?
  * Serve main page with dynamic meta tags
  *
  * Guard: requests with file extensions (e.g. /favicon.ico, /apple-touch-icon.png)
  * that weren't matched by express.static should 404, not render as a "username".
+ * Unknown periods also 404 so /user/anything doesn't become an indexable page.
+ *
+ * Usernames Last.fm doesn't know (or that can't be Last.fm usernames) render the app
+ * with a 404 status and noindex — the client shows the "user not found" state.
+ * Other casings of a known user 301 to Last.fm's canonical one, keeping the period
+ * and query (?mode=). If Last.fm can't be reached, the page is served unchecked —
+ * as it is past the per-IP budget for uncached lookups (limitLastfmLookups).
+ *
+ * The top-artist grid and cached headline are rendered into the page (config.ssr) when
+ * the top list is available in time; see services/board-markup.js. The top list and the
+ * board's cached personality also fill the meta/og description and a JSON-LD block.
  */
-router.get('/:username?', (req, res, next) => {
+router.get('/:username?/:period?', limitLastfmLookups, async (req, res, next) => {
   const username = req.params.username || '';
+  const period = req.params.period || config.defaults.period;
 
   // If the path looks like a file request, let it 404 naturally
   if (username && /\.\w{2,5}$/.test(username)) {
     return next();
   }
+  if (!isValidPeriod(period)) {
+    return next();
+  }
+
+  const validUsername = username === '' || isValidUsername(username);
+  const boardUsername = username || config.defaults.username;
+  // Album/track boards (?mode=) are rendered by the client
+  const renderBoard = config.ssr.board && (!req.query.mode || req.query.mode === 'artists');
+  const askLastfm = validUsername && !req.lastfmLimited;
+
+  let userCheck = null;
+  if (username && !validUsername) {
+    userCheck = { found: false };
+  } else if (username && askLastfm) {
+    userCheck = checkUser(username);
+  }
+  const [user, topArtists] = await Promise.all([userCheck, askLastfm ? loadTopArtists(boardUsername, period) : null]);
+  const notFound = Boolean(user && !user.found);
+
+  if (user && user.found && user.name && user.name !== username) {
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    const periodPath = req.params.period ? `/${req.params.period}` : '';
+    return res.redirect(301, `/${encodeURIComponent(user.name)}${periodPath}${query}`);
+  }
+
   const escapedUsername = escapeHtml(username);
+  const periodPhrase = PERIODS[period].over;
+  const periodSpan = PERIODS[period].span;
+  const urlPath = username && period !== config.defaults.period ? `${username}/${period}` : username;
+
+  // Unknown users keep the site-wide card
+  const ogImagePath = notFound
+    ? OG_FALLBACK_IMAGE.slice(1)
+    : ogImagePathFor(boardUsername, period);
 
   let title, whos, description;
 
@@ -54,22 +331,58 @@ router.get('/:username?', (req, res, next) => {
     title = 'Payam Yousefi';
     whos = 'my';
     description = `Curious about my taste in music? Discover music personality and more.`;
+  } else if (notFound) {
+    title = 'User not found';
+    whos = `${escapedUsername}'s`; // No Last.fm profile to link to
+    description = `There is no Last.fm user named ${escapedUsername}.`;
   } else {
     title = escapedUsername;
     whos = `<a href='https://last.fm/user/${escapedUsername}' target='_blank' rel='noopener noreferrer'>${escapedUsername}</a>'s`;
     description = `Curious about ${escapedUsername}'s taste in music? Discover music personality and more.`;
   }
 
-  // Replace placeholders in template
-  const html = htmlTemplate
-    .replace(/\{\{title\}\}/g, title)
-    .replace(/\{\{whos\}\}/g, whos)
-    .replace(/\{\{whosPlain\}\}/g, username ? `${escapedUsername}'s` : 'my')
-    .replace(/\{\{description\}\}/g, description)
-    .replace(/\{\{username\}\}/g, escapedUsername)
-    .replace(/\{\{year\}\}/g, new Date().getFullYear().toString());
+  // The board's own description and JSON-LD, once we know its top artists
+  const artists = !notFound && topArtists;
+  const personality = artists ? getCachedPersonality(boardUsername, period, artists) : null;
+  let jsonLd = null;
+  if (artists) {
+    const whosText = username ? `${username}'s` : 'my';
+    const plainDescription = describeBoard({ whos: whosText, periodSpan, artists, personality });
+    description = escapeHtml(plainDescription);
+    jsonLd = boardJsonLd({
+      username: boardUsername,
+      urlPath,
+      periodSpan,
+      description: plainDescription,
+      artists,
+      personality
+    });
+  }
+
+  const html = renderPage({
+    title,
+    whos,
+    description,
+    periodPhrase,
+    urlPath,
+    ogImagePath,
+    username: escapedUsername,
+    robots: notFound ? 'noindex' : 'index, follow',
+    board:
+      artists && renderBoard
+        ? boardMarkup.renderBoard({
+            username: boardUsername,
+            period,
+            periodSpan,
+            isDefault: boardUsername === config.defaults.username,
+            artists,
+            headline: personality && personality.headline
+          })
+        : undefined,
+    jsonLd
+  });
 
-  res.send(html);
+  res.status(notFound ? 404 : 200).send(html);
 });
 
 module.exports = router;
@@ -6,9 +6,10 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config');
+const responseCache = require('../utils/responseCache');
 
-// In-memory cache for headlines (keyed by mood+genre hash)
-const headlineCache = new Map();
+// Headlines live in the shared response cache (keyed by mood+genre profile), so
+// they count toward its bounds and persist with its disk tier across restarts
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 /**
@@ -170,10 +171,10 @@ async function generateAIHeadline(artists, seed, templateFallback) {
   const dominantGenre = getDominant(genreProfile);
 
   // Check cache first
-  const cacheKey = generateCacheKey(moodProfile, genreProfile);
-  const cached = headlineCache.get(cacheKey);
+  const cacheKey = `ai:headline:${generateCacheKey(moodProfile, genreProfile)}`;
+  const cached = responseCache.get(cacheKey);
 
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+  if (cached) {
     return {
       headline: cached.headline,
       mood: dominantMood,
@@ -189,10 +190,7 @@ async function generateAIHeadline(artists, seed, templateFallback) {
 
   if (aiHeadline) {
     // Cache the result
-    headlineCache.set(cacheKey, {
-      headline: aiHeadline,
-      timestamp: Date.now()
-    });
+    responseCache.set(cacheKey, { headline: aiHeadline }, CACHE_TTL);
 
     return {
       headline: aiHeadline,
@@ -0,0 +1,206 @@
+/**
+ * Artist Resolution Service
+ * Resolves a Last.fm artist (name + optional MBID) to verified MusicBrainz,
+ * Discogs and Wikidata identifiers in one place, so every client shares a
+ * single cached answer instead of repeating the search → lookup dance.
+ */
+
+const config = require('../config');
+const responseCache = require('../utils/responseCache');
+const upstreamThrottle = require('../utils/upstreamThrottle');
+const upstream = require('../utils/upstreamClient');
+const singleFlight = require('../utils/singleFlight');
+
+// Search/lookup entries are also served by the /api/musicbrainz proxy (via searchArtist/lookupArtist)
+const SEARCH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const LOOKUP_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const RESOLVED_TTL_MS = 30 * 24 * 60 * 60 * 1000; // verified IDs are stable
+const UNRESOLVED_TTL_MS = 24 * 60 * 60 * 1000;    // retry misses daily — MB gains artists over time
+
+const RATE_LIMIT_RETRY_DELAY_MS = 2000;
+
+/**
+ * Fetch JSON from MusicBrainz through the shared upstream client.
+ * Timeouts, 5xx, real 429s and the throttle are handled there; this only deals
+ * with MusicBrainz's legacy burst limit, signalled as a 200 with an error body,
+ * by holding the queue and retrying once.
+ * Returns null for 404 (unknown MBID). Throws UpstreamError (429/502/503/504) otherwise.
+ */
+async function fetchMusicBrainz(url, signal, attempt = 0) {
+  const response = await upstream.musicbrainz.fetch(url, {
+    headers: {
+      'User-Agent': config.musicbrainz.userAgent,
+      Accept: 'application/json'
+    },
+    signal,
+    allowStatuses: [404]
+  });
+
+  // 404 on a lookup means the MBID doesn't exist — not an upstream failure
+  if (response.status === 404) {
+    return null;
+  }
+
+  const data = await response.json();
+
+  if (data.error && data.error.toLowerCase().includes('rate limit')) {
+    if (attempt === 0) {
+      // Hold the whole queue, not just this request — everyone shares the quota
+      upstreamThrottle.musicbrainz.pause(RATE_LIMIT_RETRY_DELAY_MS);
+      return fetchMusicBrainz(url, signal, attempt + 1);
+    }
+    throw new upstream.UpstreamError(429, 'rate_limited', 'MusicBrainz rate limit exceeded');
+  }
+
+  return data;
+}
+
+/**
+ * Search MusicBrainz for an artist by name (top result only).
+ * Concurrent identical searches share one upstream call.
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ */
+async function searchArtist(name, signal) {
+  const cacheKey = `mb:search:${name}`;
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  return singleFlight.run(cacheKey, (flightSignal) => fetchSearch(name, cacheKey, flightSignal), signal);
+}
+
+async function fetchSearch(name, cacheKey, signal) {
+  const url = new URL(`${config.musicbrainz.baseUrl}/artist`);
+  url.searchParams.set('query', `artist:${name}`);
+  url.searchParams.set('fmt', 'json');
+  url.searchParams.set('limit', '1');
+
+  const data = await fetchMusicBrainz(url.toString(), signal);
+  if (data) {
+    responseCache.set(cacheKey, data, SEARCH_TTL_MS);
+  }
+  return data;
+}
+
+/**
+ * Look up a MusicBrainz artist by MBID with URL relations (null if the MBID is unknown).
+ * Concurrent lookups of the same MBID share one upstream call.
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ */
+async function lookupArtist(mbid, signal) {
+  const cacheKey = `mb:lookup:${mbid.toLowerCase()}`;
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  return singleFlight.run(cacheKey, (flightSignal) => fetchLookup(mbid, cacheKey, flightSignal), signal);
+}
+
+async function fetchLookup(mbid, cacheKey, signal) {
+  const url = new URL(`${config.musicbrainz.baseUrl}/artist/${mbid}`);
+  url.searchParams.set('fmt', 'json');
+  url.searchParams.set('inc', 'url-rels');
+
+  const data = await fetchMusicBrainz(url.toString(), signal);
+  if (data) {
+    responseCache.set(cacheKey, data, LOOKUP_TTL_MS);
+  }
+  return data;
+}
+
+/**
+ * Case-insensitive artist name comparison
+ */
+function namesMatch(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Extract Discogs artist ID and Wikidata QID from MusicBrainz URL relations
+ */
+function parseRelations(relations) {
+  let discogsId = null;
+  let wikidata = null;
+
+  for (const rel of relations || []) {
+    const resource = rel.url && rel.url.resource;
+    if (!resource) continue;
+
+    if (!discogsId && rel.type === 'discogs') {
+      const match = resource.match(/discogs\.com\/artist\/(\d+)/);
+      if (match) discogsId = match[1];
+    } else if (!wikidata && rel.type === 'wikidata') {
+      const match = resource.match(/wikidata\.org\/wiki\/(Q\d+)/);
+      if (match) wikidata = match[1];
+    }
+  }
+
+  return { discogsId, wikidata };
+}
+
+/**
+ * Slim MusicBrainz artist for /api/v2: identity plus the IDs we use from its URL relations
+ * @returns {{ mbid: string, name: string|null, discogsId: string|null, wikidata: string|null }|null}
+ */
+function normalizeMusicBrainzArtist(data) {
+  if (!data || !data.id) return null;
+  return { mbid: data.id, name: data.name || null, ...parseRelations(data.relations) };
+}
+
+/**
+ * Resolve an artist to verified identifiers.
+ *
+ * Flow:
+ * 1. If Last.fm supplied an MBID, look it up and verify the name matches
+ *    (Last.fm MBIDs are sometimes wrong, e.g. "Drama" → a different artist)
+ * 2. Otherwise (or on mismatch), search MusicBrainz by name and accept the top
+ *    hit only if its name matches exactly
+ * 3. Parse Discogs and Wikidata IDs from the verified artist's URL relations
+ *
+ * @param {string} name - Artist name as reported by Last.fm
+ * @param {string} [mbid] - MBID reported by Last.fm, if any
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<{ mbid: string|null, discogsId: string|null, wikidata: string|null, confidence: number }>}
+ *   confidence: 1 for a Last.fm MBID verified by name, the MusicBrainz search
+ *   score (0-1) for a name-search match, 0 when unresolved
+ */
+async function resolveArtist(name, mbid, signal) {
+  const cacheKey = `artist:resolve:${name.toLowerCase()}|${(mbid || '').toLowerCase()}`;
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  return singleFlight.run(cacheKey, (flightSignal) => resolveUncached(name, mbid, cacheKey, flightSignal), signal);
+}
+
+async function resolveUncached(name, mbid, cacheKey, signal) {
+  let result = { mbid: null, discogsId: null, wikidata: null, confidence: 0 };
+
+  if (mbid) {
+    const artist = await lookupArtist(mbid, signal);
+    if (artist && namesMatch(artist.name, name)) {
+      result = { mbid: artist.id || mbid, ...parseRelations(artist.relations), confidence: 1 };
+    }
+  }
+
+  if (!result.mbid) {
+    const searchData = await searchArtist(name, signal);
+    const topHit = searchData && searchData.artists && searchData.artists[0];
+
+    if (topHit && namesMatch(topHit.name, name)) {
+      const artist = await lookupArtist(topHit.id, signal);
+      const relations = artist ? parseRelations(artist.relations) : { discogsId: null, wikidata: null };
+      const score = typeof topHit.score === 'number' ? topHit.score / 100 : 1;
+      result = { mbid: topHit.id, ...relations, confidence: Math.max(0, Math.min(1, score)) };
+    }
+  }
+
+  responseCache.set(cacheKey, result, result.mbid ? RESOLVED_TTL_MS : UNRESOLVED_TTL_MS);
+  return result;
+}
+
+module.exports = {
+  resolveArtist,
+  searchArtist,
+  lookupArtist,
+  parseRelations,
+  normalizeMusicBrainzArtist
+};
@@ -0,0 +1,364 @@
+/**
+ * Artist Source Service
+ * Cached, coalesced fetches of iTunes, Discogs and TheAudioDB artist records, plus
+ * the normalizers behind the /api/v2 routes and the image pickers used by the board
+ * stream. Raw upstream objects are cached once and served both as-is (v1 proxies)
+ * and as slim, stable shapes (v2), so the client never depends on upstream field names.
+ */
+
+const config = require('../config');
+const responseCache = require('../utils/responseCache');
+const upstream = require('../utils/upstreamClient');
+const singleFlight = require('../utils/singleFlight');
+
+const DISCOGS_TTL_MS = 7 * 24 * 60 * 60 * 1000;  // artist images rarely change
+const AUDIODB_TTL_MS = 7 * 24 * 60 * 60 * 1000;  // genre/style/mood rarely change
+const ITUNES_TTL_MS = 7 * 24 * 60 * 60 * 1000;   // catalog artwork rarely changes
+const EMPTY_TTL_MS = 24 * 60 * 60 * 1000;        // negative cache: no images / unknown ID / no results, recheck daily
+
+/**
+ * Normalize an iTunes search term for cache keys: case- and whitespace-insensitive
+ */
+function normalizeItunesTerm(term) {
+  return term.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function itunesSearchKey({ term, entity, limit }) {
+  return `itunes:search:${entity || ''}:${limit || ''}:${normalizeItunesTerm(term)}`;
+}
+
+function itunesLookupKey({ id, entity, limit }) {
+  return `itunes:lookup:${entity || ''}:${limit || ''}:${id}`;
+}
+
+/**
+ * Fetch an iTunes URL and cache the response (shorter TTL when it came back empty)
+ */
+async function fetchItunes(url, cacheKey, signal) {
+  const response = await upstream.itunes.fetch(url, {
+    headers: {
+      Accept: 'application/json'
+    },
+    signal
+  });
+
+  const data = await response.json();
+  const hasResults = Array.isArray(data.results) && data.results.length > 0;
+  responseCache.set(cacheKey, data, hasResults ? ITUNES_TTL_MS : EMPTY_TTL_MS);
+  return data;
+}
+
+/**
+ * Serve an iTunes response from cache, or join/start the single upstream fetch for it
+ */
+async function getItunes(url, cacheKey, signal) {
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  return singleFlight.run(cacheKey, (flightSignal) => fetchItunes(url, cacheKey, flightSignal), signal);
+}
+
+/**
+ * Raw iTunes search response
+ * @param {{ term: string, entity?: string, limit?: number|string }} query
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ */
+function itunesSearch({ term, entity, limit }, signal) {
+  const normalizedTerm = normalizeItunesTerm(term);
+  const cacheKey = itunesSearchKey({ term, entity, limit });
+
+  const url = new URL(`${config.itunes.baseUrl}/search`);
+  url.searchParams.set('term', normalizedTerm);
+  if (entity) url.searchParams.set('entity', entity);
+  if (limit) url.searchParams.set('limit', limit);
+
+  return getItunes(url.toString(), cacheKey, signal);
+}
+
+/**
+ * Raw iTunes lookup response
+ * @param {{ id: number|string, entity?: string, limit?: number|string }} query
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ */
+function itunesLookup({ id, entity, limit }, signal) {
+  const cacheKey = itunesLookupKey({ id, entity, limit });
+
+  const url = new URL(`${config.itunes.baseUrl}/lookup`);
+  url.searchParams.set('id', id);
+  if (entity) url.searchParams.set('entity', entity);
+  if (limit) url.searchParams.set('limit', limit);
+
+  return getItunes(url.toString(), cacheKey, signal);
+}
+
+/**
+ * Fetch a Discogs artist and cache it (or the miss).
+ * Returns the cached shape: the artist, or { notFound: true } for unknown IDs.
+ */
+async function fetchDiscogsArtist(id, cacheKey, signal) {
+  const url = `${config.discogs.baseUrl}/artists/${id}`;
+
+  // Queued behind the shared Discogs throttle (60 req/min across all visitors)
+  const response = await upstream.discogs.fetch(url, {
+    headers: {
+      Authorization: `Discogs key=${config.discogs.key}, secret=${config.discogs.secret}`,
+      'User-Agent': 'MusicApp/1.0.0 (+https://music.payamyousefi.com)'
+    },
+    signal,
+    allowStatuses: [404]
+  });
+
+  // Unknown/deleted artist IDs are stable — cache the miss so we don't spend quota on it again
+  if (response.status === 404) {
+    const notFound = { notFound: true };
+    responseCache.set(cacheKey, notFound, EMPTY_TTL_MS);
+    return notFound;
+  }
+
+  const data = await response.json();
+  const hasImages = Array.isArray(data.images) && data.images.length > 0;
+  responseCache.set(cacheKey, data, hasImages ? DISCOGS_TTL_MS : EMPTY_TTL_MS);
+  return data;
+}
+
+/**
+ * Raw Discogs artist by ID, or { notFound: true }.
+ * Concurrent requests for the same ID share one upstream call.
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ */
+async function getDiscogsArtist(id, signal) {
+  const cacheKey = `discogs:artist:${id}`;
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  return singleFlight.run(cacheKey, (flightSignal) => fetchDiscogsArtist(id, cacheKey, flightSignal), signal);
+}
+
+/**
+ * Fetch a TheAudioDB artist by MBID and cache it
+ */
+async function fetchAudioDBArtist(mbid, cacheKey, signal) {
+  const url = `${config.audiodb.baseUrl}/artist-mb.php?i=${mbid}`;
+
+  // 429s come back as an UpstreamError carrying TheAudioDB's retryAfter, so the client can respect it
+  const response = await upstream.audiodb.fetch(url, {
+    headers: {
+      Accept: 'application/json'
+    },
+    signal
+  });
+
+  const data = await response.json();
+  responseCache.set(cacheKey, data, AUDIODB_TTL_MS);
+  return data;
+}
+
+/**
+ * Raw TheAudioDB response (`{ artists: [...] | null }`) for an MBID.
+ * Concurrent requests for the same MBID share one upstream call.
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ */
+async function getAudioDBArtist(mbid, signal) {
+  const cacheKey = `adb:artist:${mbid.toLowerCase()}`;
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  return singleFlight.run(cacheKey, (flightSignal) => fetchAudioDBArtist(mbid, cacheKey, flightSignal), signal);
+}
+
+/**
+ * Discogs image URIs that are real images (not the spacer placeholder)
+ */
+function isUsableDiscogsImage(image) {
+  return Boolean(image && image.uri) && !image.uri.includes('spacer.gif');
+}
+
+/**
+ * Slim Discogs artist: usable image candidates only, primary first
+ * @returns {{ id: number, name: string|null, images: Array<{ uri: string, width: number, height: number, primary: boolean }> }|null}
+ *   null for unknown IDs
+ */
+function normalizeDiscogsArtist(data) {
+  if (!data || data.notFound) return null;
+
+  const images = (Array.isArray(data.images) ? data.images : [])
+    .filter(isUsableDiscogsImage)
+    .map((image) => ({
+      uri: image.uri,
+      width: image.width || 0,
+      height: image.height || 0,
+      primary: image.type === 'primary'
+    }))
+    .sort((a, b) => Number(b.primary) - Number(a.primary));
+
+  return { id: data.id, name: data.name || null, images };
+}
+
+/**
+ * Slim TheAudioDB artist: image and the tags used for personality analysis
+ * @returns {{ mbid: string, name: string|null, image: string|null, genre: string|null, style: string|null, mood: string|null }|null}
+ *   null when TheAudioDB doesn't know the artist
+ */
+function normalizeAudioDBArtist(data) {
+  const artist = data && Array.isArray(data.artists) ? data.artists[0] : null;
+  if (!artist) return null;
+
+  return {
+    mbid: artist.strMusicBrainzID || null,
+    name: artist.strArtist || null,
+    image: artist.strArtistThumb || artist.strArtistFanart || null,
+    genre: artist.strGenre || null,
+    style: artist.strStyle || null,
+    mood: artist.strMood || null
+  };
+}
+
+/**
+ * Discogs disambiguates same-named artists with a numeric suffix ("Name (2)"); drop it for display
+ */
+function displayDiscogsName(name) {
+  return name ? name.replace(/ \(\d+\)$/, '') : null;
+}
+
+/**
+ * Discogs profile as plain text: [a=Name]/[l=Name] links become the name, [url=…]text[/url]
+ * the text, and ID-only references ([a123], [m=456]) and formatting tags ([b], [i]) go
+ */
+function plainDiscogsText(text) {
+  return text
+    .replace(/\[[al]=([^\]]+)\]/g, (match, name) => displayDiscogsName(name))
+    .replace(/\[url=[^\]]*\]([^[]*)\[\/url\]/g, '$1')
+    .replace(/\[\/?[a-z]+[^\]]*\]/gi, '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\r\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Discogs artist details for the artist drawer: plain-text profile, page URL and members
+ * @returns {{ id: number, name: string|null, profile: string|null, url: string|null, members: Array<{ id: number, name: string, active: boolean }> }|null}
+ *   null for unknown IDs; members is empty for solo artists
+ */
+function normalizeDiscogsDetails(data) {
+  if (!data || data.notFound) return null;
+
+  const members = (Array.isArray(data.members) ? data.members : [])
+    .filter((member) => member && member.name)
+    .map((member) => ({
+      id: member.id,
+      name: displayDiscogsName(member.name),
+      active: member.active !== false
+    }));
+
+  return {
+    id: data.id,
+    name: displayDiscogsName(data.name),
+    profile: data.profile ? plainDiscogsText(data.profile) || null : null,
+    url: data.uri || null,
+    members
+  };
+}
+
+/**
+ * TheAudioDB artist details for the artist drawer: the slim artist plus biography,
+ * formation year and country
+ * @returns {{ mbid, name, image, genre, style, mood, biography: string|null, formedYear: number|null, country: string|null }|null}
+ *   null when TheAudioDB doesn't know the artist
+ */
+function normalizeAudioDBDetails(data) {
+  const artist = normalizeAudioDBArtist(data);
+  if (!artist) return null;
+
+  const raw = data.artists[0];
+  const formedYear = parseInt(raw.intFormedYear, 10);
+  return {
+    ...artist,
+    biography: (raw.strBiographyEN || '').trim() || null,
+    formedYear: formedYear > 0 ? formedYear : null,
+    country: raw.strCountry || null
+  };
+}
+
+// The two requests behind an iTunes artist image (fetchiTunesImage in app.js makes the same)
+const ITUNES_ARTIST_SEARCH = { entity: 'musicArtist', limit: 1 };
+const ITUNES_ALBUM_LOOKUP = { entity: 'album', limit: 1 };
+
+/**
+ * The search result for exactly this artist name, or null
+ */
+function matchItunesArtist(searchData, artistName) {
+  const artist = searchData.results && searchData.results[0];
+  if (!artist || !artist.artistName || artist.artistName.toLowerCase() !== artistName.toLowerCase()) {
+    return null;
+  }
+  return artist;
+}
+
+/**
+ * First album's artwork from an artist lookup, at size×size, or null
+ */
+function itunesAlbumArtwork(lookupData, size) {
+  // Results include the artist first, then albums
+  const album = lookupData.results && lookupData.results[1];
+  if (!album || !album.artworkUrl100) return null;
+  return album.artworkUrl100.replace('100x100', `${size}x${size}`);
+}
+
+/**
+ * iTunes artist image: the exact-name artist match's first album artwork, at size×size.
+ * Mirrors fetchiTunesImage in public/scripts/app.js (same requests, same cache keys).
+ * @returns {Promise<string|null>}
+ */
+async function findItunesImage(artistName, size, signal) {
+  const searchData = await itunesSearch({ term: artistName, ...ITUNES_ARTIST_SEARCH }, signal);
+  const artist = matchItunesArtist(searchData, artistName);
+  if (!artist) return null;
+
+  const lookupData = await itunesLookup({ id: artist.artistId, ...ITUNES_ALBUM_LOOKUP }, signal);
+  return itunesAlbumArtwork(lookupData, size);
+}
+
+/**
+ * findItunesImage from the cache only, never calling iTunes (for server-rendered pages)
+ * @returns {string|null} null when there is no image or it isn't cached
+ */
+function peekItunesImage(artistName, size) {
+  const searchData = responseCache.get(itunesSearchKey({ term: artistName, ...ITUNES_ARTIST_SEARCH }));
+  const artist = searchData && matchItunesArtist(searchData, artistName);
+  if (!artist) return null;
+
+  const lookupData = responseCache.get(itunesLookupKey({ id: artist.artistId, ...ITUNES_ALBUM_LOOKUP }));
+  return lookupData ? itunesAlbumArtwork(lookupData, size) : null;
+}
+
+/**
+ * Pick a Discogs image at least minSize on both sides: primary first, then any large
+ * image, then the primary or first usable image. Mirrors fetchDiscogsImageById in app.js.
+ * @param {object|null} artist - normalizeDiscogsArtist() output
+ * @returns {string|null}
+ */
+function pickDiscogsImage(artist, minSize) {
+  if (!artist || artist.images.length === 0) return null;
+
+  const isLarge = (image) => image.width >= minSize && image.height >= minSize;
+  const primaryImage = artist.images.find((image) => image.primary);
+
+  if (primaryImage && isLarge(primaryImage)) return primaryImage.uri;
+  const largeImage = artist.images.find(isLarge);
+  if (largeImage) return largeImage.uri;
+  return (primaryImage || artist.images[0]).uri;
+}
+
+module.exports = {
+  itunesSearch,
+  itunesLookup,
+  findItunesImage,
+  peekItunesImage,
+  pickDiscogsImage,
+  getDiscogsArtist,
+  getAudioDBArtist,
+  normalizeDiscogsArtist,
+  normalizeAudioDBArtist,
+  normalizeDiscogsDetails,
+  normalizeAudioDBDetails
+};
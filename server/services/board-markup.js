@@ -0,0 +1,79 @@
+/**
+ * Board Markup Service
+ * The artist grid and personality headline as HTML, for server-rendered pages
+ * (routes/pages.js): crawlers, link unfurlers and no-JS visitors get a real board,
+ * and app.js hydrates it instead of rendering it again.
+ *
+ * Reads caches only — tiles get their iTunes image and title theme if those are
+ * already cached (from earlier visits or board streams). The headline is the last one
+ * streamed for the same top artists (board.getCachedPersonality), looked up by the route.
+ */
+
+const config = require('../config');
+const { escapeHtml } = require('../utils/html');
+const artistSources = require('./artist-sources');
+const imageProxy = require('./image-proxy');
+const boardShared = require('../../public/scripts/board-shared');
+
+// Device pixel ratio for server-rendered tile images — the client asks for its own on hydration
+const SSR_IMAGE_DPR = 2;
+
+/**
+ * One tile, from the template renderArtists (app.js) uses too (public/scripts/board-shared.js),
+ * with its iTunes image already in place when that is cached
+ */
+function renderTile(artist, periodSpan) {
+  const imageUrl = artistSources.peekItunesImage(artist.name, config.defaults.imageSize);
+  const analysis = imageUrl ? imageProxy.peekImageAnalysis(imageUrl) : null;
+
+  // Tiles with a cached image are shown as loaded; the rest load on the client as usual
+  const state = imageUrl ? `image-loaded${analysis && analysis.light ? ' light-image' : ''}` : 'loading-image';
+  const { name, playcount, url } = artist;
+  const item = { type: 'artist', name, title: name, artist: name, playcount, url };
+
+  return boardShared.renderTile(item, {
+    periodSpan,
+    primarySource: boardShared.SOURCE_ORDER[0],
+    state,
+    // Same URL the client's proxiedImageUrl builds, at a fixed DPR
+    image: imageUrl && `/api/image?src=${encodeURIComponent(imageUrl)}&dpr=${SSR_IMAGE_DPR}`
+  });
+}
+
+/**
+ * Render a board for the page template
+ *
+ * @param {object} options
+ * @param {string} options.username - Last.fm username the board belongs to
+ * @param {string} options.period - Last.fm period
+ * @param {string} options.periodSpan - Tile/heading suffix for the period (e.g. "this month")
+ * @param {boolean} options.isDefault - The site owner's board (shown at /)
+ * @param {Array<{ name, playcount, url }>} options.artists - Last.fm top artists
+ * @param {string|null} [options.headline] - The board's cached personality headline
+ * @returns {{ content: string, personality: string }} content: the .content grid;
+ *   personality: .music-personality inner HTML, '' without a cached headline
+ */
+function renderBoard({ username, period, periodSpan, isDefault, artists, headline }) {
+  if (artists.length === 0) {
+    return { content: '', personality: '' };
+  }
+
+  // The heading tells app.js which board this is (and its markup version), so it only hydrates a matching one
+  const heading = boardShared.renderBoardHeading({
+    count: artists.length,
+    noun: 'artists',
+    periodSpan,
+    ssrBoard: `${username.toLowerCase()}|${period}`
+  });
+  const content = heading + artists.map((artist) => renderTile(artist, periodSpan)).join('');
+
+  // What displayPersonality (app.js) leaves once the headline is in
+  const whosText = isDefault ? 'My' : `${escapeHtml(username)}'s`;
+  const personality = headline ? boardShared.renderPersonality(whosText, headline) : '';
+
+  return { content, personality };
+}
+
+module.exports = {
+  renderBoard
+};
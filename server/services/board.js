@@ -0,0 +1,204 @@
+/**
+ * Board Service
+ * Builds a whole board server-side for GET /api/board/:username/stream: top
+ * artists, then per-artist images from every source and TheAudioDB tags as they
+ * resolve, then the personality headline. Replaces ~60 browser requests with one
+ * stream; every upstream call goes through the same caches, coalescing and
+ * throttles as the individual proxies.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const lastfm = require('./lastfm');
+const artistResolver = require('./artist-resolver');
+const artistSources = require('./artist-sources');
+const aiPersonality = require('./ai-personality');
+const templatePersonality = require('./personality');
+const imageProxy = require('./image-proxy');
+const { containsPromptInjection, ALLOWED_MOODS, ALLOWED_GENRES } = require('../middleware/security');
+const responseCache = require('../utils/responseCache');
+const { SOURCES } = require('../../public/scripts/board-shared');
+
+const HEADLINE_TTL_MS = 24 * 60 * 60 * 1000; // last streamed headline per board, for server-rendered pages
+
+/**
+ * Template-headline seed for a board: changes when its top artists or their playcounts do.
+ * The stream sends it with the artists, and the client's /api/personality fallback uses it,
+ * so both get the same headline; it also tells whether a cached headline is still current.
+ */
+function headlineSeed(username, period, artists) {
+  const dataString = [
+    username.toLowerCase(),
+    period,
+    ...artists.map((a) => `${a.name.toLowerCase()}:${a.playcount}`).sort()
+  ].join('|');
+  const hash = crypto.createHash('sha1').update(dataString).digest();
+  // Non-zero (personality.js treats a 0 seed as none), within the 32-bit range its generator uses
+  return (hash.readUInt32BE(0) >>> 1) || 1;
+}
+
+/**
+ * Keep only what the AI prompt may see — same rules as validatePersonalityInput,
+ * but unknown or suspicious values are dropped rather than rejected
+ */
+function toPersonalityInput({ name, playcount, genre, mood }) {
+  const allowed = (value, list) => {
+    if (typeof value !== 'string') return null;
+    const lower = value.toLowerCase().trim();
+    return list.includes(lower) ? lower : null;
+  };
+
+  return {
+    name: name && !containsPromptInjection(name) ? name.slice(0, 100) : undefined,
+    playcount,
+    mood: allowed(mood, ALLOWED_MOODS),
+    genre: allowed(genre, ALLOWED_GENRES)
+  };
+}
+
+/**
+ * Swallow a failed lookup as "no data" — the board renders without it, as it
+ * did when the browser made these calls directly
+ */
+function orNull(promise) {
+  return promise.catch(() => null);
+}
+
+/**
+ * Emit an image event as soon as the URL is known, with the image's luminance/hue/palette
+ * if it's already cached. Computing one means downloading and decoding the original, which
+ * would hold up the tile; without it the client asks /api/image/analysis while it reveals.
+ */
+function sendImage(send, name, source, url) {
+  const analysis = url ? imageProxy.peekImageAnalysis(url) : null;
+  send('image', { name, source, url, analysis });
+}
+
+/**
+ * Resolve an artist to MusicBrainz/Discogs IDs, then emit its Discogs and
+ * TheAudioDB images and TheAudioDB tags
+ * @returns {Promise<{ name, playcount, genre, style, mood }>} Personality input for this artist
+ */
+async function streamResolvedSources(artist, send, signal) {
+  const { name } = artist;
+  const resolved = (await orNull(artistResolver.resolveArtist(name, artist.mbid || null, signal))) || {};
+
+  const discogs = (async () => {
+    let url = null;
+    if (resolved.discogsId) {
+      const data = await orNull(artistSources.getDiscogsArtist(resolved.discogsId, signal));
+      url = artistSources.pickDiscogsImage(artistSources.normalizeDiscogsArtist(data), config.defaults.imageSize);
+    }
+    sendImage(send, name, SOURCES.DISCOGS, url);
+  })();
+
+  let audioDb = null;
+  if (resolved.mbid) {
+    const data = await orNull(artistSources.getAudioDBArtist(resolved.mbid, signal));
+    audioDb = artistSources.normalizeAudioDBArtist(data);
+  }
+  const tags = {
+    genre: audioDb ? audioDb.genre : null,
+    style: audioDb ? audioDb.style : null,
+    mood: audioDb ? audioDb.mood : null
+  };
+  send('tags', { name, ...tags });
+  sendImage(send, name, SOURCES.THE_AUDIO_DB, audioDb ? audioDb.image : null);
+
+  await discogs;
+  return { name, playcount: parseInt(artist.playcount, 10) || 1, ...tags };
+}
+
+function headlineCacheKey(username, period) {
+  return `board:headline:${username.toLowerCase()}|${period}`;
+}
+
+/**
+ * Headline for the board, or null when no artist has genre/style/mood data.
+ * Remembered per board (see getCachedPersonality).
+ */
+async function generatePersonality(username, period, artists, personalityData) {
+  const validData = personalityData.filter((d) => d.genre || d.style || d.mood);
+  if (validData.length === 0) return null;
+
+  try {
+    const seed = headlineSeed(username, period, artists);
+    const input = validData.map(toPersonalityInput);
+    const result = await aiPersonality.generateAIHeadline(input, seed, templatePersonality.analyzePersonality);
+    if (result && result.headline) {
+      // Shares of plays per mood/genre, for page descriptions and share cards
+      const { moodProfile, genreProfile } = aiPersonality.calculateProfiles(input);
+      const { headline, mood, genre } = result;
+      const entry = { headline, mood, genre, moodProfile, genreProfile, seed };
+      responseCache.set(headlineCacheKey(username, period), entry, HEADLINE_TTL_MS);
+    }
+    return result;
+  } catch (error) {
+    // The client falls back to POST /api/personality
+    console.error('Board personality error:', error);
+    return null;
+  }
+}
+
+/**
+ * Stream a board. Events (each `data` is JSON):
+ * - artists: { artists: [{ name, playcount, url, mbid }], headlineSeed } — always first; headlineSeed is
+ *   the seed the personality headline is made with (for the client's /api/personality fallback)
+ * - image: { name, source, url|null, analysis|null } — once per artist per source (ITUNES, DISCOGS,
+ *   THE_AUDIO_DB); analysis is the /api/image/analysis result for url when already cached, else null
+ * - tags: { name, genre, style, mood } — once per artist, from TheAudioDB
+ * - personality: /api/personality result, or null when there is no tag data
+ * - failure: { error, message, status, code, retryAfter } — the top artists couldn't be loaded (e.g.
+ *   unknown user); status/code/retryAfter as the topartists proxy would have responded. Sent by the route.
+ *
+ * @param {{ username: string, period: string, limit: number|string }} options
+ * @param {(event: string, data: *) => void} send
+ * @param {AbortSignal} signal - Fires when the browser disconnects
+ */
+async function streamBoard({ username, period, limit }, send, signal) {
+  // Throws on Last.fm errors (unknown user, private, rate limited, ...); the route sends the failure event
+  const { data } = await lastfm.getTopArtists(username, { period, limit }, signal);
+
+  const artists = ((data.topartists && data.topartists.artist) || []).map(({ name, playcount, url, mbid }) => ({
+    name,
+    playcount,
+    url,
+    mbid: mbid || null
+  }));
+  send('artists', { artists, headlineSeed: headlineSeed(username, period, artists) });
+  if (artists.length === 0) return;
+
+  // iTunes: one artist at a time, in board order (no shared throttle protects it)
+  const itunes = (async () => {
+    for (const { name } of artists) {
+      if (signal.aborted) break;
+      const url = await orNull(artistSources.findItunesImage(name, config.defaults.imageSize, signal));
+      sendImage(send, name, SOURCES.ITUNES, url);
+    }
+  })();
+
+  // MusicBrainz-dependent sources: every artist at once — the shared throttles pace the upstream calls
+  const personalityData = await Promise.all(artists.map((artist) => streamResolvedSources(artist, send, signal)));
+  await itunes;
+
+  if (signal.aborted) return;
+  send('personality', await generatePersonality(username, period, artists, personalityData));
+}
+
+/**
+ * The last streamed personality for a board, if its top artists haven't changed since
+ * (same headline seed). Cache only — for server-rendered pages and Open Graph cards.
+ * @param {Array<{ name: string, playcount: string|number }>} artists - Current top artists
+ * @returns {{ headline, mood, genre, moodProfile: object, genreProfile: object, seed: number }|null}
+ *   moodProfile/genreProfile: share of plays (0-1) per mood/genre, from calculateProfiles (ai-personality.js)
+ */
+function getCachedPersonality(username, period, artists) {
+  const cached = responseCache.get(headlineCacheKey(username, period));
+  return cached && cached.seed === headlineSeed(username, period, artists) ? cached : null;
+}
+
+module.exports = {
+  streamBoard,
+  headlineSeed,
+  getCachedPersonality
+};
@@ -0,0 +1,147 @@
+/**
+ * Image Analysis Service
+ * Title luminance, dominant hue and a small palette for a tile image, computed
+ * once per image on the server instead of in a canvas on every visitor's phone.
+ * Samples a 50×50 downscale, like the canvas code it replaces in app.js did.
+ */
+
+const sharp = require('sharp');
+
+const SAMPLE_SIZE = 50;
+const PALETTE_SIZE = 5;
+const PALETTE_BITS = 3; // Per channel when bucketing colors (8 levels → 512 buckets)
+
+/**
+ * Is the region under .title light? Bottom 40%, right 70% of the tile, average of the
+ * simplified relative luminance (no gamma). Light regions get the dark title backdrop.
+ */
+function analyzeLuminance(data, channels) {
+  const startX = Math.floor(SAMPLE_SIZE * 0.3);
+  const startY = Math.floor(SAMPLE_SIZE * 0.6);
+  let total = 0;
+  let count = 0;
+
+  for (let y = startY; y < SAMPLE_SIZE; y++) {
+    for (let x = startX; x < SAMPLE_SIZE; x++) {
+      const i = (y * SAMPLE_SIZE + x) * channels;
+      total += 0.2126 * (data[i] / 255) + 0.7152 * (data[i + 1] / 255) + 0.0722 * (data[i + 2] / 255);
+      count += 1;
+    }
+  }
+
+  const luminance = total / count;
+  return { luminance, light: luminance > 0.5 };
+}
+
+/**
+ * Dominant hue as a weighted circular mean of saturated, mid-tone pixels.
+ * Achromatic, near-black and near-white pixels are skipped so a mostly-gray cover
+ * doesn't muddy the result.
+ * @returns {{ hue: number, weight: number }|null} hue 0-360, weight 0-1 (how vivid/representative);
+ *   null when the image is effectively colorless
+ */
+function analyzeHue(data, channels) {
+  const totalPixels = data.length / channels;
+  let sinSum = 0;
+  let cosSum = 0;
+  let weightSum = 0;
+
+  for (let i = 0; i < data.length; i += channels) {
+    const r = data[i] / 255;
+    const g = data[i + 1] / 255;
+    const b = data[i + 2] / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    if (delta === 0) continue; // achromatic
+    if (lightness < 0.15 || lightness > 0.9) continue; // too dark/light to carry hue
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    if (saturation < 0.18) continue; // too desaturated
+
+    let h;
+    if (max === r) h = ((g - b) / delta) % 6;
+    else if (max === g) h = (b - r) / delta + 2;
+    else h = (r - g) / delta + 4;
+    h *= 60;
+    if (h < 0) h += 360;
+
+    // Weight vivid mid-tone pixels most; dim pixels contribute less
+    const pixelWeight = saturation * (1 - Math.abs(lightness - 0.5) * 2);
+    const rad = (h * Math.PI) / 180;
+    sinSum += Math.sin(rad) * pixelWeight;
+    cosSum += Math.cos(rad) * pixelWeight;
+    weightSum += pixelWeight;
+  }
+
+  if (weightSum <= 0) return null;
+  // Normalize so a moderately colorful cover lands near weight 1
+  const meanWeight = weightSum / totalPixels;
+  if (meanWeight < 0.03) return null;
+  const hue = ((Math.atan2(sinSum, cosSum) * 180) / Math.PI + 360) % 360;
+  return { hue, weight: Math.min(1, meanWeight * 4) };
+}
+
+/**
+ * Most common colors: pixels bucketed at PALETTE_BITS per channel, each bucket
+ * reported as its average color and share of the image
+ * @returns {Array<{ color: string, share: number }>} Most common first
+ */
+function analyzePalette(data, channels) {
+  const shift = 8 - PALETTE_BITS;
+  const buckets = new Map();
+
+  for (let i = 0; i < data.length; i += channels) {
+    const key =
+      ((data[i] >> shift) << (2 * PALETTE_BITS)) | ((data[i + 1] >> shift) << PALETTE_BITS) | (data[i + 2] >> shift);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    bucket.count += 1;
+    buckets.set(key, bucket);
+  }
+
+  const totalPixels = data.length / channels;
+  const toHex = (sum, count) => Math.round(sum / count).toString(16).padStart(2, '0');
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, PALETTE_SIZE)
+    .map(({ r, g, b, count }) => ({
+      color: `#${toHex(r, count)}${toHex(g, count)}${toHex(b, count)}`,
+      share: Math.round((count / totalPixels) * 100) / 100
+    }));
+}
+
+/**
+ * Analyze an encoded image (any format sharp reads)
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {number} [options.limitInputPixels] - Decompression-bomb guard, passed to sharp
+ * @returns {Promise<{ light: boolean, luminance: number, hue: { hue: number, weight: number }|null,
+ *   palette: Array<{ color: string, share: number }> }>}
+ */
+async function analyzeImage(buffer, { limitInputPixels } = {}) {
+  // Stretched to the sample square and flattened onto black, as drawImage on a fresh canvas did
+  const { data, info } = await sharp(buffer, { limitInputPixels })
+    .rotate()
+    .flatten({ background: '#000000' })
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { luminance, light } = analyzeLuminance(data, info.channels);
+  const hue = analyzeHue(data, info.channels);
+  return {
+    light,
+    luminance: Math.round(luminance * 1000) / 1000,
+    hue: hue && { hue: Math.round(hue.hue * 10) / 10, weight: Math.round(hue.weight * 1000) / 1000 },
+    palette: analyzePalette(data, info.channels)
+  };
+}
+
+module.exports = {
+  analyzeImage
+};
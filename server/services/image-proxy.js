@@ -0,0 +1,312 @@
+/**
+ * Image Proxy Service
+ * Fetches artist artwork for GET /api/image from an allowlist of CDNs and re-encodes
+ * it at the size a tile needs for the requesting screen's pixel density. Resized
+ * images are kept on disk (see utils/fileCache.js), so each source/size/format is
+ * fetched and encoded once.
+ *
+ * SSRF guards: https only, default port, no credentials, allowlisted hostnames,
+ * every resolved address must be public, and redirects are followed by hand so each
+ * hop is checked against the same rules. Only image content types are accepted,
+ * and bodies are capped at config.images.maxSourceBytes.
+ *
+ * Also serves each image's luminance/hue/palette analysis, cached per source URL.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const sharp = require('sharp');
+const config = require('../config');
+const responseCache = require('../utils/responseCache');
+const upstream = require('../utils/upstreamClient');
+const singleFlight = require('../utils/singleFlight');
+const { createFileCache } = require('../utils/fileCache');
+const imageAnalysis = require('./image-analysis');
+
+const { UpstreamError } = upstream;
+
+// Artwork CDNs behind our image sources (iTunes, Discogs, TheAudioDB)
+const ALLOWED_HOSTS = [
+  /^is\d+-ssl\.mzstatic\.com$/,
+  /^i\.discogs\.com$/,
+  /^img\.discogs\.com$/,
+  /^(www|r2)\.theaudiodb\.com$/
+];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MISSING_STATUSES = [403, 404, 410];
+const MAX_REDIRECTS = 3;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // Decompression-bomb guard for sharp
+
+const ANALYSIS_TTL_MS = 30 * 24 * 60 * 60 * 1000; // artwork URLs are content-addressed; the pixels don't change
+const MISS_TTL_MS = 24 * 60 * 60 * 1000;           // negative cache: dead image URLs, recheck daily
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+
+// Addresses an allowlisted hostname must never resolve to (private, loopback, link-local, ...).
+// BlockList applies the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) too.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const fileCache = createFileCache(config.images.cacheDir, {
+  maxBytes: config.images.cacheMaxBytes,
+  pruneIntervalMs: config.images.pruneIntervalMs
+});
+
+/**
+ * Parse and vet an image URL: https, default port, no credentials, allowlisted host
+ * @returns {URL|null} null if the URL may not be proxied
+ */
+function parseImageSource(src) {
+  let url;
+  try {
+    url = new URL(src);
+  } catch (_) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:' || url.port !== '' || url.username || url.password) return null;
+  if (!ALLOWED_HOSTS.some((pattern) => pattern.test(url.hostname))) return null;
+  return url;
+}
+
+/**
+ * Throw unless every address the hostname resolves to is public
+ */
+async function assertPublicHost(hostname) {
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new UpstreamError(502, 'network_error', `Could not resolve ${hostname}`);
+  }
+
+  const blocked = addresses.some(({ address, family }) =>
+    blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  );
+  if (blocked) {
+    throw new UpstreamError(403, 'blocked_address', `${hostname} resolves to a non-public address`);
+  }
+}
+
+/**
+ * Read a response body, giving up once it passes maxBytes
+ */
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw new UpstreamError(502, 'too_large', 'Image is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch the original image, following up to MAX_REDIRECTS vetted redirects
+ * @returns {Promise<Buffer|null>} null when the CDN doesn't have it
+ */
+async function fetchSource(url, signal) {
+  let current = url;
+
+  for (let hop = 0; ; hop++) {
+    await assertPublicHost(current.hostname);
+
+    const response = await upstream.images(current.hostname).fetch(current.toString(), {
+      headers: {
+        Accept: IMAGE_TYPES.join(', '),
+        'User-Agent': 'MusicApp/1.0.0 (+https://music.payamyousefi.com)'
+      },
+      signal,
+      redirect: 'manual',
+      allowStatuses: [...REDIRECT_STATUSES, ...MISSING_STATUSES]
+    });
+
+    if (REDIRECT_STATUSES.includes(response.status)) {
+      const location = response.headers.get('Location');
+      const next = location ? parseImageSource(new URL(location, current).toString()) : null;
+      if (!next || hop >= MAX_REDIRECTS) {
+        throw new UpstreamError(502, 'bad_redirect', `Image redirect to a disallowed location: ${location}`);
+      }
+      current = next;
+      continue;
+    }
+
+    if (MISSING_STATUSES.includes(response.status)) return null;
+
+    const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES.includes(contentType)) {
+      throw new UpstreamError(502, 'bad_content_type', `Image CDN returned ${contentType || 'no content type'}`);
+    }
+
+    const length = parseInt(response.headers.get('Content-Length'), 10);
+    if (length > config.images.maxSourceBytes) {
+      throw new UpstreamError(502, 'too_large', 'Image is too large');
+    }
+
+    return readBody(response, config.images.maxSourceBytes);
+  }
+}
+
+/**
+ * Resize so the shorter side covers a width×width tile (never upscaled) and re-encode.
+ * Not cropped: tiles use background-size: cover, which does the framing.
+ */
+async function resize(buffer, width, format) {
+  try {
+    const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate() // Apply EXIF orientation before it is stripped
+      .resize({ width, height: width, fit: 'outside', withoutEnlargement: true });
+
+    return format === 'webp'
+      ? await pipeline.webp({ quality: 80 }).toBuffer()
+      : await pipeline.jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+  } catch (error) {
+    throw new UpstreamError(502, 'bad_image', `Could not decode image: ${error.message}`);
+  }
+}
+
+/**
+ * Original image bytes, or null when the CDN doesn't have it (remembered for a day).
+ * Concurrent callers — resizes at several sizes, the analysis — share one download.
+ */
+async function loadOriginal(url, signal) {
+  const src = url.toString();
+  const missKey = `image:miss:${src}`;
+  if (responseCache.get(missKey)) return null;
+
+  return singleFlight.run(
+    `image:source:${src}`,
+    async (flightSignal) => {
+      const original = await fetchSource(url, flightSignal);
+      if (!original) responseCache.set(missKey, true, MISS_TTL_MS);
+      return original;
+    },
+    signal
+  );
+}
+
+/**
+ * Analyze and cache an original, unless its analysis is already cached
+ */
+async function cacheAnalysis(src, original) {
+  const cacheKey = `image:analysis:${src}`;
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const analysis = await imageAnalysis.analyzeImage(original, { limitInputPixels: MAX_INPUT_PIXELS });
+    responseCache.set(cacheKey, analysis, ANALYSIS_TTL_MS);
+    return analysis;
+  } catch (error) {
+    throw new UpstreamError(502, 'bad_image', `Could not decode image: ${error.message}`);
+  }
+}
+
+/**
+ * Tile-sized image, from disk or freshly fetched and resized.
+ * Concurrent requests for the same source/size/format share one fetch; the
+ * original's analysis is cached on the way, so it never needs a second download.
+ *
+ * @param {{ url: URL, dpr: number, format: 'webp'|'jpeg' }} options - url from parseImageSource
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>} null when the image doesn't exist
+ */
+async function getImage({ url, dpr, format }, signal) {
+  const src = url.toString();
+  const width = config.images.tileSize * dpr;
+  const key = `${src}|${width}|${format}`;
+  const contentType = CONTENT_TYPES[format];
+
+  const cached = await fileCache.read(key, format);
+  if (cached) return { body: cached, contentType };
+
+  return singleFlight.run(
+    `image:${key}`,
+    async (flightSignal) => {
+      const original = await loadOriginal(url, flightSignal);
+      if (!original) return null;
+
+      const body = await resize(original, width, format);
+      fileCache.write(key, format, body);
+      cacheAnalysis(src, original).catch(() => {});
+      return { body, contentType };
+    },
+    signal
+  );
+}
+
+/**
+ * Title luminance, dominant hue and palette for an image (see services/image-analysis.js),
+ * cached per source URL
+ *
+ * @param {URL} url - From parseImageSource
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<object|null>} null when the image doesn't exist
+ */
+async function getImageAnalysis(url, signal) {
+  const src = url.toString();
+  const cached = responseCache.get(`image:analysis:${src}`);
+  if (cached) return cached;
+
+  return singleFlight.run(
+    `image:analysis:${src}`,
+    async (flightSignal) => {
+      const original = await loadOriginal(url, flightSignal);
+      return original ? cacheAnalysis(src, original) : null;
+    },
+    signal
+  );
+}
+
+/**
+ * Cached analysis for an image URL, without fetching the image (for server-rendered pages)
+ * @param {string} src
+ * @returns {object|null}
+ */
+function peekImageAnalysis(src) {
+  const url = parseImageSource(src);
+  return url ? responseCache.get(`image:analysis:${url}`) : null;
+}
+
+/**
+ * Disk cache counters (exposed via /api/health)
+ */
+function stats() {
+  return fileCache.stats();
+}
+
+module.exports = {
+  parseImageSource,
+  getImage,
+  getImageAnalysis,
+  peekImageAnalysis,
+  stats
+};
@@ -0,0 +1,246 @@
+/**
+ * Last.fm Service
+ * Fetches Last.fm user data for the proxy routes and the board stream.
+ * Top lists are cached per user/period/limit with stale-while-revalidate: fresh for a few
+ * minutes, then served stale while one background call refreshes them — so reloading a
+ * board or going back in history is instant and costs no Last.fm quota. Identical
+ * concurrent requests — e.g. several visitors opening the same board — share one upstream call.
+ * Profiles are cached briefly: only the scrobble count moves, and nobody watches it tick.
+ *
+ * Last.fm reports most failures as an error code in the JSON body (sometimes with a 200);
+ * these are thrown as UpstreamErrors with distinct statuses and codes (see LASTFM_ERRORS).
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const upstream = require('../utils/upstreamClient');
+const responseCache = require('../utils/responseCache');
+const singleFlight = require('../utils/singleFlight');
+
+const { UpstreamError } = upstream;
+
+const TOP_LIST_FRESH_MS = 3 * 60 * 1000; // top lists: served as-is, charts move at most every few minutes
+const TOP_LIST_TTL_MS = 60 * 60 * 1000;  // then served stale (and refreshed in the background) until this
+const USER_INFO_TTL_MS = 10 * 60 * 1000; // profile header: name/avatar/country rarely change
+const NO_USER_TTL_MS = 60 * 60 * 1000;   // negative cache: unknown usernames (crawlers retry dead links)
+
+// Statuses Last.fm sends its JSON errors with; anything else non-2xx is an upstream failure
+const LASTFM_ERROR_STATUSES = [400, 403, 404];
+
+// Last.fm error codes (https://www.last.fm/api/errorcodes) → our status, code and message.
+// Unlisted codes become a 502 with Last.fm's own message.
+const LASTFM_ERRORS = {
+  // "Invalid parameters" — on user.* methods, an unknown username
+  6: { status: 404, code: 'user_not_found', message: 'User not found' },
+  8: { status: 503, code: 'temporarily_unavailable', message: 'Last.fm operation failed', retryAfter: 5 },
+  11: { status: 503, code: 'temporarily_unavailable', message: 'Last.fm is offline', retryAfter: 30 },
+  16: { status: 503, code: 'temporarily_unavailable', message: 'Last.fm is temporarily unavailable', retryAfter: 5 },
+  // "Login: User required to be logged in" — the user has hidden their listening history
+  17: { status: 403, code: 'private_profile', message: "This user's listening history is private" },
+  29: { status: 429, code: 'rate_limited', message: 'Last.fm rate limit exceeded', retryAfter: 60 }
+};
+
+/**
+ * Call a Last.fm API method and parse the JSON body
+ * @throws {UpstreamError} For Last.fm error responses (see LASTFM_ERRORS) and upstream failures
+ */
+async function callMethod(method, params, signal) {
+  const url = new URL(config.lastfm.baseUrl);
+  url.searchParams.set('method', method);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  url.searchParams.set('api_key', config.lastfm.apiKey);
+  url.searchParams.set('format', 'json');
+
+  const response = await upstream.lastfm.fetch(url.toString(), { signal, allowStatuses: LASTFM_ERROR_STATUSES });
+  let data;
+  try {
+    data = await response.json();
+  } catch (_) {
+    throw new UpstreamError(502, 'upstream_error', `Last.fm API returned ${response.status} without JSON`);
+  }
+
+  if (data.error) {
+    const known = LASTFM_ERRORS[data.error];
+    if (!known) {
+      throw new UpstreamError(502, 'lastfm_error', data.message || `Last.fm error ${data.error}`);
+    }
+    throw new UpstreamError(known.status, known.code, known.message, { retryAfter: known.retryAfter });
+  }
+  if (!response.ok) {
+    throw new UpstreamError(502, 'upstream_error', `Last.fm API returned ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Cache key for a user.getinfo response
+ */
+function userInfoKey(username) {
+  return `lastfm:info:${username.toLowerCase()}`;
+}
+
+/**
+ * Negative-cache key for an unknown username, shared by user.getinfo and the top lists
+ */
+function noUserKey(username) {
+  return `lastfm:nouser:${username.toLowerCase()}`;
+}
+
+/**
+ * Throw user_not_found if Last.fm recently said this user doesn't exist
+ */
+function checkKnownMissing(username) {
+  if (responseCache.get(noUserKey(username))) {
+    const { status, code, message } = LASTFM_ERRORS[6];
+    throw new UpstreamError(status, code, message);
+  }
+}
+
+/**
+ * Remember an unknown username for NO_USER_TTL_MS
+ */
+function rememberMissing(username, error) {
+  // Other errors (rate limits, outages) are re-checked next time
+  if (error.code === 'user_not_found') responseCache.set(noUserKey(username), true, NO_USER_TTL_MS);
+}
+
+/**
+ * Fetch a top list and cache it with its ETag (a hash of the body, so an unchanged
+ * list keeps its ETag across refreshes)
+ */
+function refreshTop(cacheKey, kind, username, { period, limit }, signal) {
+  return singleFlight.run(
+    cacheKey,
+    async (flightSignal) => {
+      let data;
+      try {
+        data = await callMethod(`user.gettop${kind}`, { user: username, period, limit }, flightSignal);
+      } catch (error) {
+        rememberMissing(username, error);
+        throw error;
+      }
+      const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+      const entry = { data, etag: `"${hash}"`, fetchedAt: Date.now() };
+      responseCache.set(cacheKey, entry, TOP_LIST_TTL_MS);
+      return entry;
+    },
+    signal
+  );
+}
+
+/**
+ * Cache key for a top list
+ */
+function topKey(kind, username, { period, limit }) {
+  return `lastfm:top${kind}:${username.toLowerCase()}|${period}|${limit}`;
+}
+
+/**
+ * user.gettop<kind> (artists, albums or tracks), stale-while-revalidate
+ * @returns {Promise<{ data: object, etag: string, fetchedAt: number }>}
+ */
+async function getTop(kind, username, options, signal) {
+  const cacheKey = topKey(kind, username, options);
+  const cached = responseCache.get(cacheKey);
+  if (!cached) {
+    checkKnownMissing(username);
+    return refreshTop(cacheKey, kind, username, options, signal);
+  }
+
+  if (Date.now() - cached.fetchedAt > TOP_LIST_FRESH_MS) {
+    // No caller signal: the refresh outlives this request. On failure the stale list keeps serving.
+    refreshTop(cacheKey, kind, username, options).catch((error) => {
+      console.warn(`Last.fm top${kind} refresh failed for ${username}:`, error.message);
+    });
+  }
+  return cached;
+}
+
+/**
+ * Raw user.gettopartists response, with its ETag
+ * @param {string} username
+ * @param {{ period: string, limit: number|string }} options
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<{ data: object, etag: string, fetchedAt: number }>}
+ */
+function getTopArtists(username, options, signal) {
+  return getTop('artists', username, options, signal);
+}
+
+/**
+ * Raw user.gettopalbums response, with its ETag
+ * @param {string} username
+ * @param {{ period: string, limit: number|string }} options
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<{ data: object, etag: string, fetchedAt: number }>}
+ */
+function getTopAlbums(username, options, signal) {
+  return getTop('albums', username, options, signal);
+}
+
+/**
+ * Raw user.gettoptracks response, with its ETag
+ * @param {string} username
+ * @param {{ period: string, limit: number|string }} options
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<{ data: object, etag: string, fetchedAt: number }>}
+ */
+function getTopTracks(username, options, signal) {
+  return getTop('tracks', username, options, signal);
+}
+
+/**
+ * Raw user.getinfo response, cached for USER_INFO_TTL_MS. Unknown users are
+ * remembered for NO_USER_TTL_MS (the page route checks every /:username it serves),
+ * and the top lists share that memory.
+ * @param {string} username
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @throws {UpstreamError} user_not_found for unknown users (see LASTFM_ERRORS)
+ */
+async function getUserInfo(username, signal) {
+  const cacheKey = userInfoKey(username);
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+  checkKnownMissing(username);
+
+  return singleFlight.run(
+    cacheKey,
+    async (flightSignal) => {
+      try {
+        const data = await callMethod('user.getinfo', { user: username }, flightSignal);
+        responseCache.set(cacheKey, data, USER_INFO_TTL_MS);
+        return data;
+      } catch (error) {
+        rememberMissing(username, error);
+        throw error;
+      }
+    },
+    signal
+  );
+}
+
+/**
+ * Whether getUserInfo would answer from the cache (a profile or a remembered unknown user)
+ */
+function hasCachedUser(username) {
+  return Boolean(responseCache.get(userInfoKey(username)) || responseCache.get(noUserKey(username)));
+}
+
+/**
+ * Whether getTopArtists would answer from the cache (possibly stale)
+ * @param {{ period: string, limit: number|string }} options
+ */
+function hasCachedTopArtists(username, options) {
+  return Boolean(responseCache.get(topKey('artists', username, options)));
+}
+
+module.exports = {
+  getTopArtists,
+  getTopAlbums,
+  getTopTracks,
+  getUserInfo,
+  hasCachedUser,
+  hasCachedTopArtists
+};
@@ -0,0 +1,275 @@
+/**
+ * Open Graph Card Service
+ * The 1200×630 PNG a shared board unfurls with (GET /og/:username.png, routes/pages.js):
+ * the user's top artist artwork, their personality headline, and a background in the
+ * color their moods give the board.
+ *
+ * Cards are kept on disk per headline seed (see board.js) and headline, so each top-artist
+ * line-up is rendered once. A card whose artwork couldn't all be loaded in time isn't kept.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config');
+const { escapeHtml } = require('../utils/html');
+const { createFileCache } = require('../utils/fileCache');
+const singleFlight = require('../utils/singleFlight');
+const lastfm = require('./lastfm');
+const artistSources = require('./artist-sources');
+const imageProxy = require('./image-proxy');
+const board = require('./board');
+const { MOOD_MAP } = require('./personality');
+const { MOOD_COLORS } = require('../../public/scripts/board-shared');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 60;
+
+// Artwork grid on the right: COLUMNS × ROWS tiles, top artist first
+const COLUMNS = 3;
+const ROWS = 2;
+const TILE = 180;
+const GAP = 12;
+const TILE_RADIUS = 8; // .artist border-radius in main.css
+const GRID_LEFT = WIDTH - PADDING - (COLUMNS * TILE + (COLUMNS - 1) * GAP);
+const GRID_TOP = (HEIGHT - (ROWS * TILE + (ROWS - 1) * GAP)) / 2;
+
+const HEADLINE_CHARS_PER_LINE = 14;
+const HEADLINE_MAX_LINES = 4;
+const TILE_NAME_CHARS_PER_LINE = 14;
+
+const SITE_HOST = 'music.payamyousefi.com';
+
+const fileCache = createFileCache(config.og.cacheDir, {
+  maxBytes: config.og.cacheMaxBytes,
+  pruneIntervalMs: config.og.pruneIntervalMs
+});
+
+/**
+ * Background color: the play-weighted blend of the board's moods, at the centre of each
+ * mood's range (generateBlendedColor in app.js, without its per-visit variation).
+ * Boards without mood data get a hue from their seed, like the client's full-spectrum fallback.
+ * @param {object} [moodProfile] - Mood → share of plays, from the cached personality
+ * @param {number} seed - Headline seed
+ */
+function moodColor(moodProfile, seed) {
+  const weights = {};
+  for (const [mood, share] of Object.entries(moodProfile || {})) {
+    const bucket = MOOD_MAP[mood.toLowerCase()];
+    if (bucket && MOOD_COLORS[bucket]) weights[bucket] = (weights[bucket] || 0) + share;
+  }
+
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) {
+    return `hsl(${Math.abs(seed) % 360}, 60%, 24%)`;
+  }
+
+  // Circular mean for hue (angry's range wraps past 360)
+  let sinSum = 0,
+    cosSum = 0,
+    satSum = 0,
+    lightSum = 0;
+  for (const [mood, weight] of entries) {
+    const range = MOOD_COLORS[mood];
+    const w = weight / total;
+    const rad = ((((range.hueMin + range.hueMax) / 2) % 360) * Math.PI) / 180;
+    sinSum += Math.sin(rad) * w;
+    cosSum += Math.cos(rad) * w;
+    satSum += ((range.satMin + range.satMax) / 2) * w;
+    lightSum += ((range.lightMin + range.lightMax) / 2) * w;
+  }
+  const hue = ((Math.atan2(sinSum, cosSum) * 180) / Math.PI + 360) % 360;
+  return `hsl(${Math.round(hue)}, ${Math.round(satSum)}%, ${Math.round(lightSum)}%)`;
+}
+
+/**
+ * Greedy word wrap; the last kept line gets an ellipsis if the text runs over
+ */
+function wrapLines(text, maxChars, maxLines) {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines[lines.length - 1];
+    if (last && last.length + 1 + word.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += '…';
+  }
+  return lines;
+}
+
+function tilePosition(index) {
+  return {
+    left: GRID_LEFT + (index % COLUMNS) * (TILE + GAP),
+    top: GRID_TOP + Math.floor(index / COLUMNS) * (TILE + GAP)
+  };
+}
+
+/**
+ * The card minus artwork: background, text, and a named placeholder in every tile slot
+ * (artwork is composited over the placeholders it has)
+ */
+function renderBackground({ displayName, isDefault, headline, periodSpan, color, names }) {
+  // Same wording as the page header and personality label
+  const whos = isDefault ? 'my' : `${displayName}'s`;
+  const label = headline ? `${isDefault ? 'My' : whos} Music Personality` : 'What kind of music do you like?';
+  const text = headline || `Curious about ${whos} taste in music?`;
+  const lines = wrapLines(text, HEADLINE_CHARS_PER_LINE, HEADLINE_MAX_LINES);
+
+  const headlineText = lines
+    .map((line, i) => `<tspan x="${PADDING}" y="${240 + i * 68}">${escapeHtml(line)}</tspan>`)
+    .join('');
+
+  const placeholders = names
+    .map((name, index) => {
+      const { left, top } = tilePosition(index);
+      const nameLines = wrapLines(name, TILE_NAME_CHARS_PER_LINE, 2);
+      const firstY = top + TILE / 2 - ((nameLines.length - 1) * 24) / 2 + 8;
+      const text = nameLines
+        .map((line, i) => `<tspan x="${left + TILE / 2}" y="${firstY + i * 24}">${escapeHtml(line)}</tspan>`)
+        .join('');
+      return `<rect x="${left}" y="${top}" width="${TILE}" height="${TILE}" rx="${TILE_RADIUS}" fill="#ffffff" fill-opacity="0.08"/><text text-anchor="middle" font-size="20" fill="#ffffff" fill-opacity="0.75">${text}</text>`;
+    })
+    .join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="Karla, 'Helvetica Neue', Helvetica, Arial, sans-serif">
+<rect width="${WIDTH}" height="${HEIGHT}" fill="${color}"/>
+<text x="${PADDING}" y="150" font-size="26" font-weight="700" fill="#ffffff" fill-opacity="0.75">${escapeHtml(label)}</text>
+<text font-family="Lobster, 'Helvetica Neue', Helvetica, Arial, sans-serif" font-size="54" fill="#ffffff">${headlineText}</text>
+<text x="${PADDING}" y="${HEIGHT - PADDING - 36}" font-size="24" fill="#ffffff" fill-opacity="0.75">${escapeHtml(`Top artists ${periodSpan}`)}</text>
+<text x="${PADDING}" y="${HEIGHT - PADDING}" font-size="24" font-weight="700" fill="#ffffff">${SITE_HOST}</text>
+${placeholders}
+</svg>`;
+  return Buffer.from(svg);
+}
+
+/**
+ * Tile-sized artwork for an artist (their iTunes image, via the image proxy's disk cache)
+ * @returns {Promise<{ body: Buffer|null, failed: boolean }>} failed: couldn't be loaded in time,
+ *   as opposed to the artist having no artwork
+ */
+async function loadArtwork(name, signal) {
+  try {
+    const src = await artistSources.findItunesImage(name, config.defaults.imageSize, signal);
+    const url = src ? imageProxy.parseImageSource(src) : null;
+    if (!url) return { body: null, failed: false };
+
+    const image = await imageProxy.getImage({ url, dpr: 1, format: 'jpeg' }, signal);
+    return { body: image ? image.body : null, failed: false };
+  } catch (error) {
+    return { body: null, failed: true };
+  }
+}
+
+/**
+ * Artwork cropped to a rounded tile, or null if it can't be decoded
+ */
+async function toTile(body) {
+  const mask = Buffer.from(
+    `<svg width="${TILE}" height="${TILE}"><rect width="${TILE}" height="${TILE}" rx="${TILE_RADIUS}"/></svg>`
+  );
+  try {
+    return await sharp(body)
+      .resize(TILE, TILE, { fit: 'cover' })
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<{ body: Buffer, complete: boolean }>} complete: every tile's artwork
+ *   was loaded (or the artist has none), so the card is worth keeping
+ */
+async function renderCard({ displayName, isDefault, periodSpan, artists, personality, seed }, signal) {
+  const shown = artists.slice(0, COLUMNS * ROWS);
+  const artwork = await Promise.all(shown.map(({ name }) => loadArtwork(name, signal)));
+  const tiles = await Promise.all(artwork.map(({ body }) => (body ? toTile(body) : null)));
+
+  const background = renderBackground({
+    displayName,
+    isDefault,
+    headline: personality && personality.headline,
+    periodSpan,
+    color: moodColor(personality && personality.moodProfile, seed),
+    names: shown.map(({ name }) => name)
+  });
+
+  const body = await sharp(background)
+    .composite(
+      tiles
+        .map((input, index) => input && { input, ...tilePosition(index) })
+        .filter(Boolean)
+    )
+    .png()
+    .toBuffer();
+
+  return { body, complete: artwork.every(({ failed }) => !failed) };
+}
+
+/**
+ * A user's Open Graph card, from disk or freshly rendered
+ *
+ * @param {object} options
+ * @param {string} options.username - Last.fm username
+ * @param {string} options.period - Last.fm period
+ * @param {string} options.periodSpan - Period suffix for "Top artists …" (e.g. "this month")
+ * @param {boolean} options.isDefault - The site owner's board (shown at /)
+ * @param {AbortSignal} [signal] - Caller's disconnect signal
+ * @returns {Promise<{ body: Buffer, etag: string|null }>} etag: null for a card drawn with
+ *   placeholders (artwork timed out), which mustn't be cached or revalidated as the real one
+ * @throws {UpstreamError} When the top artists can't be loaded (unknown user, Last.fm down, ...)
+ */
+async function getCard({ username, period, periodSpan, isDefault }, signal) {
+  const { data } = await lastfm.getTopArtists(username, { period, limit: config.defaults.artistLimit }, signal);
+  const artists = (data.topartists && data.topartists.artist) || [];
+  const attr = data.topartists && data.topartists['@attr'];
+  const displayName = (attr && attr.user) || username;
+
+  const seed = board.headlineSeed(username, period, artists);
+  const personality = board.getCachedPersonality(username, period, artists);
+  const key = `${username.toLowerCase()}|${period}|${seed}|${personality ? personality.headline : ''}`;
+  const etag = `"${crypto.createHash('sha1').update(key).digest('base64url')}"`;
+
+  const cached = await fileCache.read(key, 'png');
+  if (cached) return { body: cached, etag };
+
+  return singleFlight.run(
+    `og:${key}`,
+    async (flightSignal) => {
+      // Unfurlers don't wait long: past the budget, render with placeholders (and don't keep the card).
+      // Linked by hand rather than with AbortSignal.any, which needs Node 20.3
+      const artwork = new AbortController();
+      const abortArtwork = () => artwork.abort();
+      const timer = setTimeout(abortArtwork, config.og.timeoutMs);
+      flightSignal.addEventListener('abort', abortArtwork, { once: true });
+      if (flightSignal.aborted) artwork.abort();
+
+      let body, complete;
+      try {
+        ({ body, complete } = await renderCard(
+          { displayName, isDefault, periodSpan, artists, personality, seed },
+          artwork.signal
+        ));
+      } finally {
+        clearTimeout(timer);
+        flightSignal.removeEventListener('abort', abortArtwork);
+      }
+      if (!complete) return { body, etag: null };
+      fileCache.write(key, 'png', body);
+      return { body, etag };
+    },
+    signal
+  );
+}
+
+module.exports = {
+  getCard
+};
@@ -0,0 +1,213 @@
+/**
+ * Append-only JSON-lines file backing the in-memory response cache.
+ * Each write appends one `{ k, v, e }` line (key, value, expiresAt); the last line
+ * for a key wins. The file is replayed at startup and compacted (expired and
+ * superseded lines dropped) when it has grown well past its live size.
+ *
+ * Several processes can share one file: each appends by path and periodically
+ * reads lines the others have appended since its last read. Compaction rewrites
+ * the file from its own records under a lock file, and readers start over when
+ * the file is replaced (a new inode).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite the file when it holds this many times more lines than live entries
+const COMPACT_RATIO = 3;
+const COMPACT_MIN_LINES = 1000;
+
+// A compaction lock older than this was left by a crashed process
+const LOCK_STALE_MS = 60 * 1000;
+
+/**
+ * Parse complete lines from a chunk, skipping blanks and torn/corrupt writes
+ */
+function parseLines(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      const { k, v, e } = JSON.parse(line);
+      if (typeof k === 'string' && typeof e === 'number') {
+        entries.push({ key: k, value: v, expiresAt: e });
+      }
+    } catch (_) {
+      // Partial line from a crashed write — ignore
+    }
+  }
+  return entries;
+}
+
+/**
+ * Latest unexpired entry per key, in file order (the last line for a key wins)
+ */
+function liveEntries(entries) {
+  const now = Date.now();
+  const byKey = new Map();
+  for (const entry of entries) {
+    byKey.delete(entry.key);
+    if (entry.expiresAt > now) byKey.set(entry.key, entry);
+  }
+  return Array.from(byKey.values());
+}
+
+function serialize({ key, value, expiresAt }) {
+  return JSON.stringify({ k: key, v: value, e: expiresAt }) + '\n';
+}
+
+/**
+ * Read the complete lines of an open file from byte `from` up to `to`
+ * @returns {{ entries: Array, bytes: number }} bytes: length of the complete lines read
+ */
+function readLines(fd, from, to) {
+  if (to <= from) return { entries: [], bytes: 0 };
+  const buffer = Buffer.alloc(to - from);
+  fs.readSync(fd, buffer, 0, buffer.length, from);
+  const text = buffer.toString('utf8');
+  const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+  return { entries: parseLines(complete), bytes: Buffer.byteLength(complete) };
+}
+
+/**
+ * Create a disk store at filePath (parent directory is created if needed)
+ */
+function createDiskStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const lockPath = `${filePath}.lock`;
+
+  // Where this process has read up to. A compaction (ours or another process's) renames a
+  // new file into place, so a different inode means a new generation: start it from the top.
+  let fileIno = null;
+  let offset = 0;
+  let lineCount = 0; // Lines read from this generation
+
+  /**
+   * Read entries from the last read position to the end, following a replaced file
+   */
+  function readFromOffset() {
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+    } catch (_) {
+      return []; // Not created yet, or mid-replace — try again next time
+    }
+    try {
+      const { size, ino } = fs.fstatSync(fd);
+      if (ino !== fileIno || size < offset) {
+        fileIno = ino;
+        offset = 0;
+        lineCount = 0;
+      }
+      const { entries, bytes } = readLines(fd, offset, size);
+      offset += bytes;
+      lineCount += entries.length;
+      return entries;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Read every unexpired entry (startup warm-up)
+   */
+  function load() {
+    return liveEntries(readFromOffset());
+  }
+
+  /**
+   * Read entries appended (by any process) since the last load/readNew
+   */
+  function readNew() {
+    return readFromOffset();
+  }
+
+  /**
+   * Append one entry. Fire-and-forget: a failed write only costs a future cache miss.
+   */
+  function append(key, value, expiresAt) {
+    let line;
+    try {
+      line = serialize({ key, value, expiresAt });
+    } catch (_) {
+      return; // Not serializable — keep it memory-only
+    }
+    fs.appendFile(filePath, line, (err) => {
+      if (err) console.warn('Cache disk write failed:', err.message);
+    });
+  }
+
+  /**
+   * Take the compaction lock, so only one process rewrites the file at a time.
+   * A lock left behind by a crashed process is taken over once it's a minute old.
+   */
+  function acquireLock() {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs < LOCK_STALE_MS) return false;
+      fs.unlinkSync(lockPath);
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return true;
+    } catch (_) {
+      return false; // Another process got there first
+    }
+  }
+
+  /**
+   * Rewrite the file with only its live records, once it holds COMPACT_RATIO times more
+   * lines than live entries. Works from the file itself, not this process's memory, so
+   * entries evicted here or not yet read from other processes are kept.
+   * Written to a temp file and renamed so readers never see a half-written file; lines
+   * appended to the old file while it was being rewritten are carried over.
+   * @returns {Array} Entries in the file this process hadn't read yet (for the caller to merge)
+   */
+  function compactIfNeeded() {
+    if (lineCount < COMPACT_MIN_LINES) return [];
+    if (!acquireLock()) return [];
+
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const { size, ino } = fs.fstatSync(fd);
+      const { entries, bytes } = readLines(fd, 0, size);
+      const live = liveEntries(entries);
+      if (entries.length < COMPACT_MIN_LINES || entries.length < live.length * COMPACT_RATIO) {
+        return [];
+      }
+
+      // What this process hasn't merged yet: everything past its offset, or all of a new generation
+      const unreadFrom = ino === fileIno ? offset : 0;
+      const unread = unreadFrom < bytes ? readLines(fd, unreadFrom, bytes).entries : [];
+
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      const content = live.map(serialize).join('');
+      fs.writeFileSync(tmpPath, content);
+      fs.renameSync(tmpPath, filePath);
+
+      // Appends that opened the old file before the rename landed there — carry them over.
+      // They're read back like any other append (readNew), so this process resumes after `content`.
+      const tail = readLines(fd, bytes, fs.fstatSync(fd).size);
+      if (tail.entries.length > 0) {
+        fs.appendFileSync(filePath, tail.entries.map(serialize).join(''));
+      }
+
+      fileIno = fs.statSync(filePath).ino;
+      offset = Buffer.byteLength(content);
+      lineCount = live.length;
+      return unread;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+      fs.unlink(lockPath, () => {});
+    }
+  }
+
+  return { filePath, load, readNew, append, compactIfNeeded };
+}
+
+module.exports = { createDiskStore };
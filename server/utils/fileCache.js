@@ -0,0 +1,112 @@
+/**
+ * Size-bounded directory of cached binary files (resized images for /api/image).
+ * Files are named by a hash of their key, written to a temp file and renamed so
+ * readers never see a partial file, and touched on every read; a periodic prune
+ * deletes the least recently used files once the directory grows past maxBytes.
+ *
+ * Several processes can share one directory — there is no index to keep in sync.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prune down to this fraction of maxBytes, so we don't prune again on the next write
+const PRUNE_TARGET_RATIO = 0.8;
+
+/**
+ * Create a file cache in dir (created if needed)
+ * @param {string} dir
+ * @param {{ maxBytes: number, pruneIntervalMs: number }} options
+ */
+function createFileCache(dir, { maxBytes, pruneIntervalMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const counters = { hits: 0, misses: 0, writes: 0, pruned: 0 };
+
+  function pathFor(key, ext) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(dir, `${hash}.${ext}`);
+  }
+
+  /**
+   * Cached bytes for key, or null
+   */
+  async function read(key, ext) {
+    const filePath = pathFor(key, ext);
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      counters.hits += 1;
+      // Recency for pruning; a failed touch only makes the file look older
+      const now = new Date();
+      fs.utimes(filePath, now, now, () => {});
+      return buffer;
+    } catch (_) {
+      counters.misses += 1;
+      return null;
+    }
+  }
+
+  /**
+   * Store bytes for key. Fire-and-forget: a failed write only costs a future miss.
+   */
+  function write(key, ext, buffer) {
+    const filePath = pathFor(key, ext);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    counters.writes += 1;
+    fs.promises
+      .writeFile(tmpPath, buffer)
+      .then(() => fs.promises.rename(tmpPath, filePath))
+      .catch((err) => {
+        console.warn('Image cache write failed:', err.message);
+        fs.unlink(tmpPath, () => {});
+      });
+  }
+
+  /**
+   * Delete least recently used files until the directory is back under budget
+   */
+  async function prune() {
+    const files = [];
+    let totalBytes = 0;
+
+    for (const name of await fs.promises.readdir(dir)) {
+      try {
+        const stat = await fs.promises.stat(path.join(dir, name));
+        files.push({ name, size: stat.size, mtimeMs: stat.mtimeMs });
+        totalBytes += stat.size;
+      } catch (_) {
+        // Deleted by another process in the meantime
+      }
+    }
+    if (totalBytes <= maxBytes) return;
+
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of files) {
+      if (totalBytes <= maxBytes * PRUNE_TARGET_RATIO) break;
+      try {
+        await fs.promises.unlink(path.join(dir, file.name));
+        totalBytes -= file.size;
+        counters.pruned += 1;
+      } catch (_) {
+        // Already gone
+      }
+    }
+  }
+
+  // unref: the prune timer alone shouldn't keep the process alive
+  setInterval(() => {
+    prune().catch((err) => console.warn('Image cache prune failed:', err.message));
+  }, pruneIntervalMs).unref();
+
+  /**
+   * Counters for monitoring (exposed via /api/health)
+   */
+  function stats() {
+    return { dir, ...counters };
+  }
+
+  return { read, write, prune, stats };
+}
+
+module.exports = { createFileCache };
@@ -1,22 +1,185 @@
 /**
- * Simple in-memory TTL cache for proxy responses.
- * Survives until the process restarts; safe for immutable upstream data.
+ * Bounded in-memory TTL cache for proxy responses (and other server-side results).
+ * Memory-only unless a disk tier is configured; safe for immutable upstream data.
+ *
+ * - LRU eviction once either maxEntries or maxBytes (approximate, JSON length) is exceeded
+ * - Expired entries are dropped lazily on read and by a periodic sweep
+ * - Hits/misses/evictions are counted per key prefix (e.g. `mb:search`, `adb:artist`)
+ *   and exposed via stats() for /api/health
+ * - Optional disk tier (config.cache.dir): every set is appended to a JSON-lines file
+ *   that warms memory at startup, so restarts don't refetch upstream data or re-pay
+ *   for AI headlines, and processes sharing the directory pick up each other's writes
  */
 
+const path = require('path');
+const config = require('../config');
+const { createDiskStore } = require('./diskStore');
+
+const { maxEntries, maxBytes, sweepIntervalMs, syncIntervalMs } = config.cache;
+
+// Map iteration order doubles as recency order: oldest first, re-inserted on read
 const store = new Map();
+let totalBytes = 0;
+
+// Optional persistent tier, set up at the bottom of this module
+let diskStore = null;
+
+const counters = {};
+
+/**
+ * Stats bucket for a key: the first two `:`-separated segments (e.g. `mb:lookup:<mbid>` → `mb:lookup`)
+ */
+function prefixOf(key) {
+  return key.split(':', 2).join(':');
+}
+
+function count(key, field) {
+  const prefix = prefixOf(key);
+  if (!counters[prefix]) {
+    counters[prefix] = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+  }
+  counters[prefix][field] += 1;
+}
+
+function estimateBytes(key, value) {
+  try {
+    return key.length + JSON.stringify(value).length;
+  } catch (_) {
+    return key.length;
+  }
+}
+
+function remove(key) {
+  const entry = store.get(key);
+  if (!entry) return;
+  totalBytes -= entry.bytes;
+  store.delete(key);
+}
+
+function evictIfNeeded() {
+  while (store.size > maxEntries || totalBytes > maxBytes) {
+    const oldestKey = store.keys().next().value;
+    if (oldestKey === undefined) break;
+    remove(oldestKey);
+    count(oldestKey, 'evictions');
+  }
+}
 
 function get(key) {
   const entry = store.get(key);
-  if (!entry) return null;
+  if (!entry) {
+    count(key, 'misses');
+    return null;
+  }
   if (Date.now() > entry.expiresAt) {
-    store.delete(key);
+    remove(key);
+    count(key, 'expirations');
+    count(key, 'misses');
     return null;
   }
+  // Refresh recency
+  store.delete(key);
+  store.set(key, entry);
+  count(key, 'hits');
   return entry.value;
 }
 
+/**
+ * Insert without touching counters or the disk tier (used when replaying from disk)
+ */
+function insert(key, value, expiresAt) {
+  remove(key);
+  const bytes = estimateBytes(key, value);
+  store.set(key, { value, expiresAt, bytes });
+  totalBytes += bytes;
+  evictIfNeeded();
+}
+
 function set(key, value, ttlMs) {
-  store.set(key, { value, expiresAt: Date.now() + ttlMs });
+  const expiresAt = Date.now() + ttlMs;
+  insert(key, value, expiresAt);
+  count(key, 'sets');
+  if (diskStore) {
+    diskStore.append(key, value, expiresAt);
+  }
+}
+
+/**
+ * Drop every expired entry (runs on an interval; also callable directly)
+ */
+function sweep() {
+  const now = Date.now();
+  for (const [key, entry] of store) {
+    if (now > entry.expiresAt) {
+      remove(key);
+      count(key, 'expirations');
+    }
+  }
+  if (diskStore) {
+    compactDisk();
+  }
+}
+
+/**
+ * Merge entries other processes have appended to the shared disk file.
+ * Runs on a timer, so a disk error is logged rather than thrown.
+ */
+function syncFromDisk() {
+  try {
+    merge(diskStore.readNew());
+  } catch (err) {
+    console.warn('Cache disk sync failed:', err.message);
+  }
+}
+
+function merge(entries) {
+  const now = Date.now();
+  for (const { key, value, expiresAt } of entries) {
+    if (expiresAt > now) insert(key, value, expiresAt);
+  }
 }
 
-module.exports = { get, set };
+function compactDisk() {
+  try {
+    // Compaction reads the whole file; merge anything in it this process hadn't seen yet
+    merge(diskStore.compactIfNeeded());
+  } catch (err) {
+    console.warn('Cache disk compaction failed:', err.message);
+  }
+}
+
+/**
+ * Snapshot of cache size and per-prefix counters
+ */
+function stats() {
+  return {
+    entries: store.size,
+    bytes: totalBytes,
+    maxEntries,
+    maxBytes,
+    disk: diskStore ? diskStore.filePath : null,
+    prefixes: JSON.parse(JSON.stringify(counters))
+  };
+}
+
+// Warm memory from the disk tier before serving anything
+if (config.cache.dir) {
+  try {
+    diskStore = createDiskStore(path.join(config.cache.dir, 'response-cache.jsonl'));
+    const warmed = diskStore.load();
+    for (const { key, value, expiresAt } of warmed) {
+      insert(key, value, expiresAt);
+    }
+    compactDisk();
+    console.log(`   Cache: warmed ${store.size} entries from ${diskStore.filePath}`);
+    setInterval(syncFromDisk, syncIntervalMs).unref();
+  } catch (err) {
+    console.warn('Cache disk tier disabled:', err.message);
+    diskStore = null;
+  }
+}
+
+// Periodic sweep; unref so it never keeps the process alive on its own
+setInterval(sweep, sweepIntervalMs).unref();
+
+module.exports = { get, set, sweep, stats };
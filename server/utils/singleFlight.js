@@ -0,0 +1,78 @@
+/**
+ * Single-flight deduplication for upstream work.
+ * Concurrent callers asking for the same key (normally the responseCache key)
+ * share one in-flight task, so a burst of identical requests costs one upstream
+ * fetch and one responseCache.set. The entry is dropped as soon as the task
+ * settles; later callers hit the cache instead.
+ *
+ * The task receives its own AbortSignal, fired only once every caller that
+ * joined with a signal has aborted (e.g. all of their browsers disconnected).
+ * Callers without a signal keep the task alive until it settles.
+ */
+
+const { UpstreamError } = require('./upstreamClient');
+
+const inFlight = new Map();
+let started = 0;
+let joined = 0;
+
+/**
+ * Run task under key, or join the identical task already in flight
+ *
+ * @param {string} key
+ * @param {(signal: AbortSignal) => Promise<*>} task
+ * @param {AbortSignal} [signal] - This caller's signal (e.g. from requestSignal(res))
+ * @returns {Promise<*>} The shared task's result
+ */
+function run(key, task, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(new UpstreamError(499, 'aborted', 'Client disconnected'));
+  }
+
+  let flight = inFlight.get(key);
+  if (flight) {
+    joined += 1;
+  } else {
+    started += 1;
+    const controller = new AbortController();
+    flight = { controller, waiters: 0, promise: null };
+    const current = flight;
+    flight.promise = Promise.resolve()
+      .then(() => {
+        if (controller.signal.aborted) throw new UpstreamError(499, 'aborted', 'Client disconnected');
+        return task(controller.signal);
+      })
+      .finally(() => {
+        if (inFlight.get(key) === current) inFlight.delete(key);
+      });
+    inFlight.set(key, flight);
+  }
+
+  flight.waiters += 1;
+  if (signal) {
+    const current = flight;
+    signal.addEventListener(
+      'abort',
+      () => {
+        current.waiters -= 1;
+        if (current.waiters === 0) {
+          // Nobody is waiting any more; let the next caller start a fresh flight
+          if (inFlight.get(key) === current) inFlight.delete(key);
+          current.controller.abort();
+        }
+      },
+      { once: true }
+    );
+  }
+
+  return flight.promise;
+}
+
+/**
+ * In-flight count and how many calls were coalesced (exposed via /api/health)
+ */
+function stats() {
+  return { inFlight: inFlight.size, started, joined };
+}
+
+module.exports = { run, stats };
@@ -0,0 +1,359 @@
+/**
+ * Shared upstream HTTP client for the API proxies.
+ * One instance per service, each with:
+ * - A per-attempt timeout
+ * - Bounded retries with exponential backoff + full jitter (network errors, timeouts, 5xx, short 429s)
+ * - Retry-After handling (header, or a `retryAfter` field in a JSON body as TheAudioDB sends)
+ * - Abort when the browser disconnects, so we stop spending upstream quota on nobody
+ * - A circuit breaker that fails fast with a 503 while a service is down
+ * - Optional queueing behind a shared token-bucket throttle (see upstreamThrottle.js)
+ */
+
+const config = require('../config');
+const upstreamThrottle = require('./upstreamThrottle');
+const { UpstreamError } = require('./upstreamError');
+
+const { parseRetryAfter } = upstreamThrottle;
+
+/**
+ * Read Retry-After from a response: standard header first, then a JSON `retryAfter` (seconds)
+ */
+async function readRetryAfterMs(response) {
+  const fromHeader = parseRetryAfter(response.headers.get('Retry-After'));
+  if (fromHeader !== null) return fromHeader;
+  try {
+    const body = await response.clone().json();
+    if (body && body.retryAfter) return Number(body.retryAfter) * 1000 || null;
+  } catch (_) {
+    // Not JSON — no hint
+  }
+  return null;
+}
+
+/**
+ * Wait, but give up early if the caller's signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new UpstreamError(499, 'aborted', 'Client disconnected'));
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a client for one upstream service.
+ *
+ * @param {object} options
+ * @param {string} options.name - Display name for logs and error messages
+ * @param {number} options.timeoutMs - Per-attempt timeout (until response headers arrive)
+ * @param {object} [options.throttle] - Shared throttle from upstreamThrottle.js
+ */
+function createUpstreamClient({ name, timeoutMs, throttle }) {
+  const { retries, retryBaseMs, maxRetryAfterMs, breaker } = config.upstream;
+
+  // Circuit breaker state
+  let state = 'closed'; // closed → open (failing fast) → half-open (one trial request)
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  /**
+   * Fail fast while the circuit is open. Returns true when this call is the half-open
+   * trial request; upstreamFetch must then settle it (see the finally there).
+   */
+  function checkCircuit() {
+    if (state === 'closed') return false;
+
+    const remainingMs = openedAt + breaker.cooldownMs - Date.now();
+    if (state === 'open' && remainingMs <= 0) {
+      state = 'half-open';
+    }
+    if (state === 'half-open' && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+
+    throw new UpstreamError(503, 'circuit_open', `${name} is temporarily unavailable`, {
+      retryAfter: Math.max(1, Math.ceil(remainingMs / 1000))
+    });
+  }
+
+  function recordSuccess() {
+    if (state !== 'closed') {
+      console.log(`${name} circuit closed`);
+    }
+    state = 'closed';
+    consecutiveFailures = 0;
+  }
+
+  function recordFailure() {
+    consecutiveFailures += 1;
+    if (state === 'half-open' || consecutiveFailures >= breaker.failureThreshold) {
+      if (state !== 'open') {
+        console.warn(`${name} circuit opened after ${consecutiveFailures} consecutive failures`);
+      }
+      state = 'open';
+      openedAt = Date.now();
+    }
+  }
+
+  /**
+   * One attempt: fetch with a timeout, linked to the caller's abort signal
+   */
+  async function attempt(url, init, signal) {
+    if (signal && signal.aborted) {
+      throw new UpstreamError(499, 'aborted', 'Client disconnected');
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new UpstreamError(499, 'aborted', 'Client disconnected');
+      }
+      if (timedOut) {
+        throw new UpstreamError(504, 'timeout', `${name} API timed out after ${timeoutMs}ms`);
+      }
+      throw new UpstreamError(502, 'network_error', `Failed to reach ${name} API: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Send one attempt, through the shared throttle if this service has one
+   */
+  async function send(url, init, signal) {
+    if (!throttle) return attempt(url, init, signal);
+    const response = await throttle.schedule(() => attempt(url, init, signal), signal);
+    throttle.observe(response);
+    return response;
+  }
+
+  function backoffMs(attemptIndex) {
+    // Full jitter: uniform in [0, base * 2^n]
+    return Math.random() * retryBaseMs * Math.pow(2, attemptIndex);
+  }
+
+  /**
+   * Fetch from the upstream service.
+   * Resolves with the Response for 2xx and for any status listed in allowStatuses.
+   * Throws UpstreamError for everything else, after retrying what is worth retrying.
+   *
+   * @param {string} url
+   * @param {object} [options]
+   * @param {object} [options.headers]
+   * @param {AbortSignal} [options.signal] - Usually from requestSignal(res)
+   * @param {number[]} [options.allowStatuses] - Non-2xx statuses the caller handles itself (e.g. [404])
+   * @param {string} [options.redirect] - fetch redirect mode; 'manual' lets the caller vet each hop
+   */
+  async function upstreamFetch(url, { headers, signal, allowStatuses = [], redirect = 'follow' } = {}) {
+    const init = { headers, redirect };
+
+    // Checked once per call: the trial's own retries mustn't be turned away by the trial it is
+    const isTrial = checkCircuit();
+    let succeeded = false;
+    let failedAttempt = false; // The last attempt failed in a way that counts against the breaker
+
+    try {
+      for (let attemptIndex = 0; ; attemptIndex++) {
+        let response;
+        try {
+          response = await send(url, init, signal);
+        } catch (error) {
+          // Caller went away, or our own queue is full — not the upstream's fault
+          if (error.code === 'aborted' || error.status === 429) {
+            if (error.status === 429) failedAttempt = false;
+            throw error;
+          }
+          failedAttempt = true;
+          if (attemptIndex < retries) {
+            await sleep(backoffMs(attemptIndex), signal);
+            continue;
+          }
+          throw error;
+        }
+
+        if (response.status === 429) {
+          const retryAfterMs = await readRetryAfterMs(response);
+          if (attemptIndex < retries && (retryAfterMs === null || retryAfterMs <= maxRetryAfterMs)) {
+            await sleep(Math.max(retryAfterMs || 0, backoffMs(attemptIndex)), signal);
+            continue;
+          }
+          // Rate limiting means the service is up — don't trip the breaker
+          failedAttempt = false;
+          const retryAfter = Math.ceil((retryAfterMs || 60000) / 1000);
+          console.warn(`${name} rate limited — retryAfter: ${retryAfter}s`);
+          throw new UpstreamError(429, 'rate_limited', `${name} rate limit exceeded. Please try again later.`, {
+            retryAfter
+          });
+        }
+
+        if (response.status >= 500 && !allowStatuses.includes(response.status)) {
+          failedAttempt = true;
+          if (attemptIndex < retries) {
+            const retryAfterMs = await readRetryAfterMs(response);
+            await sleep(Math.min(Math.max(retryAfterMs || 0, backoffMs(attemptIndex)), maxRetryAfterMs), signal);
+            continue;
+          }
+          const text = await response.text().catch(() => '');
+          console.error(`${name} API returned ${response.status}: ${text.substring(0, 200)}`);
+          throw new UpstreamError(502, 'upstream_error', `${name} API returned ${response.status}`);
+        }
+
+        // Any other response means the service is reachable
+        recordSuccess();
+        succeeded = true;
+
+        if (!response.ok && !allowStatuses.includes(response.status)) {
+          const text = await response.text().catch(() => '');
+          console.error(`${name} API returned ${response.status}: ${text.substring(0, 200)}`);
+          throw new UpstreamError(502, 'upstream_error', `${name} API returned ${response.status}`);
+        }
+
+        return response;
+      }
+    } finally {
+      // Every exit after a failed attempt counts against the breaker, even when the caller
+      // disconnected while we waited to retry
+      if (!succeeded && failedAttempt) {
+        recordFailure();
+      }
+      // The trial is over however it ended; if it proved nothing, the next call is the new trial
+      if (isTrial) {
+        trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Breaker state for monitoring (exposed via /api/health)
+   */
+  function stats() {
+    return {
+      circuit: state,
+      consecutiveFailures,
+      queue: throttle ? throttle.stats() : null
+    };
+  }
+
+  return { name, fetch: upstreamFetch, stats };
+}
+
+/**
+ * AbortSignal that fires if the browser disconnects before we respond
+ */
+function requestSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Send the JSON error response for a failed upstream call: { error, message?, code, retryAfter? }.
+ * Replaces the per-route copies of status mapping and logging.
+ * @param {string} fallbackMessage - Message for unexpected (non-upstream) errors
+ */
+function sendUpstreamError(res, error, fallbackMessage) {
+  // Browser already gone — nothing to send
+  if (error.code === 'aborted' || res.headersSent) return;
+
+  const { code, retryAfter } = error;
+
+  if (error.status === 429) {
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many requests', message: error.message, code, retryAfter });
+  }
+
+  if (error.status === 503) {
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({ error: 'Service unavailable', message: error.message, code, retryAfter });
+  }
+
+  if (error instanceof UpstreamError) {
+    console.error(error.message);
+    return res.status(error.status).json({ error: error.message, code });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(502).json({ error: fallbackMessage });
+}
+
+const clients = {
+  lastfm: createUpstreamClient({ name: 'Last.fm', timeoutMs: config.lastfm.timeoutMs }),
+  musicbrainz: createUpstreamClient({
+    name: 'MusicBrainz',
+    timeoutMs: config.musicbrainz.timeoutMs,
+    throttle: upstreamThrottle.musicbrainz
+  }),
+  discogs: createUpstreamClient({
+    name: 'Discogs',
+    timeoutMs: config.discogs.timeoutMs,
+    throttle: upstreamThrottle.discogs
+  }),
+  audiodb: createUpstreamClient({ name: 'TheAudioDB', timeoutMs: config.audiodb.timeoutMs }),
+  itunes: createUpstreamClient({ name: 'iTunes', timeoutMs: config.itunes.timeoutMs })
+};
+
+// Artwork CDNs get a client (and breaker) per host, so one CDN failing doesn't cut off the
+// others. Hosts are limited to the image proxy's allowlist, so this stays small.
+const imageClients = new Map();
+
+/**
+ * Client for one artwork CDN host, created on first use
+ * @param {string} hostname
+ */
+function images(hostname) {
+  if (!imageClients.has(hostname)) {
+    imageClients.set(
+      hostname,
+      createUpstreamClient({ name: `Image CDN ${hostname}`, timeoutMs: config.images.timeoutMs })
+    );
+  }
+  return imageClients.get(hostname);
+}
+
+/**
+ * Breaker and queue stats for every upstream, keyed by service (images: keyed by CDN host)
+ */
+function getStats() {
+  const result = {};
+  for (const [key, client] of Object.entries(clients)) {
+    result[key] = client.stats();
+  }
+  result.images = {};
+  for (const [hostname, client] of imageClients) {
+    result.images[hostname] = client.stats();
+  }
+  return result;
+}
+
+module.exports = {
+  ...clients,
+  images,
+  createUpstreamClient,
+  UpstreamError,
+  requestSignal,
+  sendUpstreamError,
+  getStats
+};
@@ -0,0 +1,20 @@
+/**
+ * Error type for upstream failures, shared by the upstream client and its throttles
+ */
+
+/**
+ * Error thrown for any upstream failure the route should turn into an HTTP error.
+ * status: HTTP status to send (403, 404, 429, 502, 503, 504); code: machine-readable reason,
+ * passed on to the browser as `code` (e.g. user_not_found, rate_limited, circuit_open).
+ */
+class UpstreamError extends Error {
+  constructor(status, code, message, { retryAfter } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = { UpstreamError };
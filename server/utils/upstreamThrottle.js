@@ -0,0 +1,188 @@
+/**
+ * Token-bucket request scheduler for rate-limited upstream APIs.
+ * One bucket per upstream service, shared by every visitor — the server's single
+ * IP owns one upstream quota, so queuing has to happen here, not in each browser tab.
+ */
+
+const config = require('../config');
+const { UpstreamError } = require('./upstreamError');
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseInt(value, 10);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create a throttle for one upstream service.
+ *
+ * @param {object} options
+ * @param {string} options.name - Service name (used in logs and stats)
+ * @param {number} options.capacity - Maximum burst size (bucket size)
+ * @param {number} options.refillPerSecond - Sustained request rate
+ * @param {number} options.maxWaitMs - Longest a request should wait in the queue; the queue holds
+ *   what the sustained rate can dispatch in that time, and requests beyond it are rejected with a 429
+ * @param {number} options.windowMs - Upstream quota window, used to pause when it's exhausted
+ * @param {function} [options.readRemaining] - Extracts the remaining-quota count from response headers
+ */
+function createThrottle({ name, capacity, refillPerSecond, maxWaitMs, windowMs, readRemaining }) {
+  const maxQueue = Math.max(1, Math.floor((refillPerSecond * maxWaitMs) / 1000));
+  const queue = [];
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+  let upstreamRemaining = null;
+  let totalScheduled = 0;
+  let totalRejected = 0;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  }
+
+  function drain() {
+    timer = null;
+    refill();
+
+    const now = Date.now();
+    if (now < pausedUntil) {
+      timer = setTimeout(drain, pausedUntil - now);
+      return;
+    }
+
+    while (queue.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      const { task, resolve, reject, signal, onAbort } = queue.shift();
+      if (signal) signal.removeEventListener('abort', onAbort);
+      Promise.resolve().then(task).then(resolve, reject);
+    }
+
+    if (queue.length > 0) {
+      const waitMs = Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+      timer = setTimeout(drain, Math.max(waitMs, 1));
+    }
+  }
+
+  /**
+   * Queue an upstream call. Resolves/rejects with the task's result once a token is available.
+   * Rejects immediately with a 429 rate_limited UpstreamError when the queue is full, and with
+   * an aborted one when the caller's signal fires first — its place (and token) goes to the next.
+   * @param {function} task
+   * @param {AbortSignal} [signal] - Caller's disconnect signal
+   */
+  function schedule(task, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new UpstreamError(499, 'aborted', 'Client disconnected'));
+    }
+    if (queue.length >= maxQueue) {
+      totalRejected += 1;
+      // Roughly when the queue will have room again
+      const waitMs = Math.max(0, pausedUntil - Date.now()) + (queue.length / refillPerSecond) * 1000;
+      return Promise.reject(
+        new UpstreamError(429, 'rate_limited', `${name} request queue is full. Please try again later.`, {
+          retryAfter: Math.max(1, Math.ceil(waitMs / 1000))
+        })
+      );
+    }
+
+    totalScheduled += 1;
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          const index = queue.indexOf(entry);
+          if (index !== -1) queue.splice(index, 1);
+          reject(new UpstreamError(499, 'aborted', 'Client disconnected'));
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      queue.push(entry);
+      if (!timer) drain();
+    });
+  }
+
+  /**
+   * Stop dispatching for a while (e.g. after an upstream 429/503)
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    console.warn(`${name} throttle paused for ${Math.round(ms / 1000)}s`);
+  }
+
+  /**
+   * Adjust the bucket from an upstream response's rate-limit headers and status.
+   * Upstream is the source of truth: if it reports fewer requests left than we
+   * have tokens (other traffic, restarts), shrink the bucket to match.
+   */
+  function observe(response) {
+    const remaining = readRemaining ? readRemaining(response.headers) : null;
+    if (remaining !== null && !isNaN(remaining)) {
+      upstreamRemaining = remaining;
+      refill();
+      tokens = Math.min(tokens, remaining);
+      if (remaining <= 0) {
+        pause(windowMs);
+      }
+    }
+
+    if (response.status === 429 || response.status === 503) {
+      pause(parseRetryAfter(response.headers.get('Retry-After')) || windowMs);
+    }
+  }
+
+  /**
+   * Snapshot for monitoring (exposed via /api/health)
+   */
+  function stats() {
+    refill();
+    return {
+      queueDepth: queue.length,
+      maxQueue,
+      tokens: Math.floor(tokens * 100) / 100,
+      pausedMs: Math.max(0, pausedUntil - Date.now()),
+      upstreamRemaining,
+      totalScheduled,
+      totalRejected
+    };
+  }
+
+  return { name, schedule, observe, pause, stats };
+}
+
+const musicbrainz = createThrottle({
+  name: 'MusicBrainz',
+  ...config.musicbrainz.throttle,
+  // MusicBrainz uses both legacy X-RateLimit-* and newer RateLimit-* headers
+  readRemaining: (headers) => {
+    const value = headers.get('RateLimit-Remaining') || headers.get('X-RateLimit-Remaining');
+    return value === null ? null : parseInt(value, 10);
+  }
+});
+
+const discogs = createThrottle({
+  name: 'Discogs',
+  ...config.discogs.throttle,
+  readRemaining: (headers) => {
+    const value = headers.get('X-Discogs-Ratelimit-Remaining');
+    return value === null ? null : parseInt(value, 10);
+  }
+});
+
+/**
+ * Queue stats for every throttled upstream, keyed by service
+ */
+function getStats() {
+  return {
+    musicbrainz: musicbrainz.stats(),
+    discogs: discogs.stats()
+  };
+}
+
+module.exports = { createThrottle, parseRetryAfter, musicbrainz, discogs, getStats };
@@ -0,0 +1,94 @@
+/**
+ * Circuit breaker in utils/upstreamClient.js: closed → open after consecutive failures,
+ * open → half-open after the cooldown, and closed again once the trial request succeeds.
+ * fetch is stubbed, so nothing here touches the network.
+ */
+
+const path = require('path');
+const os = require('os');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+
+process.env.CACHE_DIR = '';
+process.env.IMAGE_CACHE_DIR = path.join(os.tmpdir(), `upstream-client-test-${process.pid}`);
+
+const config = require('../server/config');
+const { createUpstreamClient } = require('../server/utils/upstreamClient');
+
+const COOLDOWN_MS = 50;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * A client with no retries, so each call is one attempt and one breaker outcome
+ */
+function createTestClient() {
+  config.upstream.retries = 0;
+  config.upstream.breaker.failureThreshold = 2;
+  config.upstream.breaker.cooldownMs = COOLDOWN_MS;
+  return createUpstreamClient({ name: 'Test', timeoutMs: 1000 });
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('the breaker opens after consecutive failures, half-opens after the cooldown and closes on success', async () => {
+  const client = createTestClient();
+  let upstreamStatus = 500;
+  const fetchMock = mock.method(globalThis, 'fetch', async () => new Response('', { status: upstreamStatus }));
+
+  // Closed: failures go through to the upstream until the threshold
+  await assert.rejects(client.fetch('https://upstream.test/a'), { code: 'upstream_error' });
+  assert.strictEqual(client.stats().circuit, 'closed');
+  await assert.rejects(client.fetch('https://upstream.test/a'), { code: 'upstream_error' });
+  assert.strictEqual(client.stats().circuit, 'open');
+
+  // Open: calls fail fast without reaching the upstream
+  await assert.rejects(client.fetch('https://upstream.test/a'), { status: 503, code: 'circuit_open' });
+  assert.strictEqual(fetchMock.mock.callCount(), 2);
+
+  // Half-open: one trial goes through; others are still turned away while it is in flight
+  await sleep(COOLDOWN_MS + 10);
+  upstreamStatus = 200;
+  let releaseTrial;
+  fetchMock.mock.mockImplementationOnce(
+    () => new Promise((resolve) => (releaseTrial = () => resolve(new Response('ok', { status: 200 })))),
+    2
+  );
+  const trial = client.fetch('https://upstream.test/a');
+  await assert.rejects(client.fetch('https://upstream.test/a'), { code: 'circuit_open' });
+  assert.strictEqual(client.stats().circuit, 'half-open');
+
+  // Closed again once the trial succeeds
+  releaseTrial();
+  const response = await trial;
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(client.stats().circuit, 'closed');
+  assert.strictEqual(client.stats().consecutiveFailures, 0);
+
+  const next = await client.fetch('https://upstream.test/a');
+  assert.strictEqual(next.status, 200);
+});
+
+test('a failed half-open trial reopens the breaker', async () => {
+  const client = createTestClient();
+  mock.method(globalThis, 'fetch', async () => new Response('', { status: 503 }));
+
+  await assert.rejects(client.fetch('https://upstream.test/b'));
+  await assert.rejects(client.fetch('https://upstream.test/b'));
+  assert.strictEqual(client.stats().circuit, 'open');
+
+  await sleep(COOLDOWN_MS + 10);
+  await assert.rejects(client.fetch('https://upstream.test/b'), { code: 'upstream_error' });
+  assert.strictEqual(client.stats().circuit, 'open');
+  await assert.rejects(client.fetch('https://upstream.test/b'), { code: 'circuit_open' });
+});